@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+/* scripts/diff-feeds.js
+   Usage:
+     node scripts/diff-feeds.js <previous.yml> <next.yml> [--report=feed-diff.json]
+       [--max-removed=20] [--max-price-drop=30] [--max-unavailable=20] [--force]
+
+   Выходит с кодом 1, если изменения превышают пороги (в процентах);
+   --force или FEED_DIFF_OVERRIDE=1 — только предупредить и разрешить публикацию.
+*/
+
+const fs = require('fs');
+const path = require('path');
+const { summarizeYml, diffFeeds, checkThresholds } = require('./lib/feed-diff');
+const { parseArgs } = require('./lib/cli');
+
+const ARGS = parseArgs(process.argv.slice(2), { booleans: ['force'] });
+const [PREVIOUS_PATH, NEXT_PATH] = ARGS.positional;
+const REPORT_PATH = path.resolve(ARGS.flags.report || process.env.FEED_DIFF_REPORT || 'feed-diff.json');
+const OVERRIDE = ARGS.flags.force === 'true' || process.env.FEED_DIFF_OVERRIDE === '1';
+
+function percentLimit(flag, envName, fallback){
+  const raw = ARGS.flags[flag] ?? process.env[envName];
+  if (raw == null || raw === '') return fallback;
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < 0) throw new Error(`Invalid --${flag}: ${raw}`);
+  return value;
+}
+
+async function main(){
+  if (!PREVIOUS_PATH || !NEXT_PATH) {
+    console.error('Usage: node scripts/diff-feeds.js <previous.yml> <next.yml> [--report=path] [--force]');
+    process.exit(2);
+  }
+  const limits = {
+    maxRemovedPct: percentLimit('max-removed', 'FEED_DIFF_MAX_REMOVED', 20),
+    maxPriceDropPct: percentLimit('max-price-drop', 'FEED_DIFF_MAX_PRICE_DROP', 30),
+    maxUnavailablePct: percentLimit('max-unavailable', 'FEED_DIFF_MAX_UNAVAILABLE', 20),
+  };
+
+  // первая публикация: сравнивать не с чем
+  const previous = fs.existsSync(PREVIOUS_PATH)
+    ? await summarizeYml(fs.createReadStream(PREVIOUS_PATH))
+    : { offers: new Map(), categories: new Map() };
+  if (!previous.offers.size) console.log(`No previous offers in ${PREVIOUS_PATH}, thresholds not applied.`);
+  const next = await summarizeYml(fs.createReadStream(NEXT_PATH));
+
+  const diff = diffFeeds(previous, next);
+  const violations = checkThresholds(diff, limits);
+  const blocked = violations.length > 0 && !OVERRIDE;
+
+  const report = { comparedAt: new Date().toISOString(), limits, override: OVERRIDE, blocked, violations, ...diff };
+  await fs.promises.mkdir(path.dirname(REPORT_PATH), { recursive: true });
+  await fs.promises.writeFile(REPORT_PATH, JSON.stringify(report, null, 2), 'utf8');
+
+  const s = diff.summary;
+  console.log(
+    `Feed diff: previous=${diff.previousOffers}, next=${diff.nextOffers}, added=${s.added}, removed=${s.removed} (${s.removedPct}%), ` +
+    `priceChanges=${s.priceChanges}, unavailable+=${s.becameUnavailable}, available+=${s.becameAvailable}, categoryChanges=${s.categoryChanges}`
+  );
+  for (const v of violations) console.log(`${OVERRIDE ? 'OVERRIDDEN' : 'BLOCKING'} ${v.code}: ${v.message}`);
+
+  if (blocked) {
+    console.error(`Publishing blocked by feed diff safeguard (report: ${REPORT_PATH}). Re-run with --force / FEED_DIFF_OVERRIDE=1 to publish anyway.`);
+    process.exit(1);
+  }
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,80 @@
+/* scripts/lib/build-report.js
+   Отчёт о сборке: сколько записей пришло и ушло, какие записи выброшены
+   (с кодом причины) и какие поля исправлены по ходу конвертации.
+*/
+
+const fs = require('fs');
+const path = require('path');
+
+const MAX_LISTED = 50;
+
+function createBuildReport({ format = '' } = {}){
+  const dropped = [];
+  const modified = [];
+  const warnings = [];
+  const rules = {};
+  let input = 0;
+  let output = 0;
+
+  const refOf = ref => ({ id: ref.id || '', name: ref.name || '', url: ref.url || '' });
+  const countBy = list => list.reduce((acc, { code }) => { acc[code] = (acc[code] || 0) + 1; return acc; }, {});
+
+  return {
+    /* журнал одной записи фида; поля ref дозаполняются по мере разбора,
+       поэтому записи держат ссылку на ref, а не копию */
+    entry(){
+      input += 1;
+      const ref = { id:'', name:'', url:'' };
+      return {
+        ref,
+        drop(code, message){ dropped.push({ ref, code, message }); },
+        modify(code, message){ modified.push({ ref, code, message }); },
+      };
+    },
+    // оффер, не попавший в выходной формат на втором проходе
+    reject(offer, code, message){ dropped.push({ ref: refOf(offer), code, message }); },
+    // оффер, исправленный на втором проходе (группы вариантов)
+    modify(offer, code, message){ modified.push({ ref: refOf(offer), code, message }); },
+    warn(code, message){ warnings.push({ code, message }); },
+    // срабатывания правил из RULES_FILE
+    rule(name){ rules[name] = (rules[name] || 0) + 1; },
+    output(){ output += 1; },
+
+    toJSON(){
+      return {
+        format,
+        builtAt: new Date().toISOString(),
+        input,
+        output,
+        droppedCount: dropped.length,
+        modifiedCount: modified.length,
+        droppedByReason: countBy(dropped),
+        modifiedByReason: countBy(modified),
+        rules,
+        warnings,
+        dropped: dropped.map(({ ref, code, message }) => ({ ...refOf(ref), code, message })),
+        modified: modified.map(({ ref, code, message }) => ({ ...refOf(ref), code, message })),
+      };
+    },
+
+    summary(){
+      const lines = [`Build report: input=${input}, output=${output}, dropped=${dropped.length}, modified=${modified.length}`];
+      for (const [code, n] of Object.entries(countBy(dropped))) lines.push(`  dropped  ${code}: ${n}`);
+      for (const [code, n] of Object.entries(countBy(modified))) lines.push(`  modified ${code}: ${n}`);
+      for (const [name, n] of Object.entries(rules)) lines.push(`  rule     "${name}": ${n}`);
+      for (const w of warnings) lines.push(`  warning  ${w.code}: ${w.message}`);
+      for (const { ref, code, message } of dropped.slice(0, MAX_LISTED)) {
+        lines.push(`  - ${ref.id || '(no id)'} ${ref.name ? `"${ref.name}" ` : ''}${code}: ${message}`);
+      }
+      if (dropped.length > MAX_LISTED) lines.push(`  … ${dropped.length - MAX_LISTED} more dropped entries in the JSON report`);
+      return lines.join('\n');
+    },
+
+    async write(filePath){
+      await fs.promises.mkdir(path.dirname(path.resolve(filePath)), { recursive: true });
+      await fs.promises.writeFile(filePath, JSON.stringify(this.toJSON(), null, 2), 'utf8');
+    },
+  };
+}
+
+module.exports = { createBuildReport };
@@ -0,0 +1,71 @@
+/* scripts/lib/categories.js
+   Дерево категорий из путей product_type / google_product_category
+   ("Смартфоны > Galaxy S > S24"). id выводится из пути, поэтому категория
+   сохраняет один и тот же id между сборками независимо от порядка товаров в фиде.
+   Пути сравниваются без учёта регистра; из вариантов написания имени берётся самый
+   частый, при равенстве — первый по алфавиту, так что и имя от порядка не зависит.
+*/
+
+const crypto = require('crypto');
+
+const pathKey = segments => segments.map(s => s.toLowerCase()).join(' > ');
+
+// 12 hex-символов sha1 -> десятичное число до 15 знаков (Яндекс допускает до 18)
+function categoryIdFor(segments){
+  const hex = crypto.createHash('sha1').update(pathKey(segments)).digest('hex').slice(0, 12);
+  const id = BigInt(`0x${hex}`);
+  return String(id === 0n ? 1n : id);
+}
+
+function compareSegments(a, b){
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    if (a[i] !== b[i]) return a[i] < b[i] ? -1 : 1;
+  }
+  return a.length - b.length;
+}
+
+function pickName(spellings){
+  return Array.from(spellings.entries())
+    .sort(([a, n], [b, m]) => (m - n) || (a < b ? -1 : a > b ? 1 : 0))[0][0];
+}
+
+function createCategoryTree(){
+  const byKey = new Map();
+  const byId = new Map();
+
+  function ensure(segments){
+    const key = pathKey(segments);
+    const known = byKey.get(key);
+    if (known) return known;
+    const id = categoryIdFor(segments);
+    const clash = byId.get(id);
+    if (clash) throw new Error(`Category id collision ${id}: "${clash.path.join(' > ')}" vs "${segments.join(' > ')}"`);
+    const parent = segments.length > 1 ? ensure(segments.slice(0, -1)) : null;
+    const node = { id, parentId: parent ? parent.id : '', key: segments.map(s => s.toLowerCase()), path: segments, spellings: new Map() };
+    byKey.set(key, node);
+    byId.set(id, node);
+    return node;
+  }
+
+  return {
+    // регистрирует путь вместе со всеми предками, возвращает id листа
+    add(segments){
+      const path = segments.length ? segments : ['Default'];
+      let node = null;
+      for (let i = 1; i <= path.length; i++) {
+        node = ensure(path.slice(0, i));
+        node.spellings.set(path[i-1], (node.spellings.get(path[i-1]) || 0) + 1);
+      }
+      return node.id;
+    },
+    // родители всегда раньше потомков, порядок не зависит от порядка фида
+    nodes(){
+      return Array.from(byKey.values())
+        .sort((a, b) => compareSegments(a.key, b.key))
+        .map(node => ({ id: node.id, parentId: node.parentId, name: pickName(node.spellings) }));
+    },
+    get size(){ return byKey.size; },
+  };
+}
+
+module.exports = { createCategoryTree, categoryIdFor };
@@ -0,0 +1,75 @@
+/* scripts/lib/charset.js
+   Определение кодировки входного документа и потоковое декодирование в строки.
+   Порядок как в RFC 7303: BOM, затем charset из Content-Type, затем encoding в XML-прологе;
+   без всего этого — UTF-8. Поддерживается всё, что знает TextDecoder
+   (windows-1251, KOI8-R, UTF-16LE/BE и т.д.).
+*/
+
+const HEAD_BYTES = 1024;
+
+function resolveEncoding(label, source){
+  try { return new TextDecoder(String(label).trim()).encoding; }
+  catch { throw new Error(`Unsupported feed encoding "${label}" (from ${source})`); }
+}
+
+// charset=... из значения Content-Type
+function charsetFromContentType(contentType = ''){
+  const m = String(contentType).match(/charset\s*=\s*"?([^";\s]+)/i);
+  return m ? m[1] : '';
+}
+
+/* head — первые байты документа, hint — charset из заголовков.
+   Возвращает { encoding, source }, source — откуда взяли (bom | header | prolog | default) */
+function detectCharset(head, hint = ''){
+  if (head[0] === 0xef && head[1] === 0xbb && head[2] === 0xbf) return { encoding:'utf-8', source:'bom' };
+  if (head[0] === 0xff && head[1] === 0xfe) return { encoding:'utf-16le', source:'bom' };
+  if (head[0] === 0xfe && head[1] === 0xff) return { encoding:'utf-16be', source:'bom' };
+  // UTF-16 без BOM узнаётся по "<?" с нулевыми байтами
+  if (head[0] === 0x3c && head[1] === 0x00 && head[2] === 0x3f && head[3] === 0x00) return { encoding:'utf-16le', source:'prolog' };
+  if (head[0] === 0x00 && head[1] === 0x3c && head[2] === 0x00 && head[3] === 0x3f) return { encoding:'utf-16be', source:'prolog' };
+
+  const ascii = (label, source) => {
+    const encoding = resolveEncoding(label, source);
+    // байты ASCII-совместимы, значит "utf-16" в заголовке или прологе — неправда
+    return { encoding: encoding.startsWith('utf-16') ? 'utf-8' : encoding, source };
+  };
+  if (hint) return ascii(hint, 'header');
+  const prolog = head.toString('latin1').match(/^\s*<\?xml[^>]*?encoding\s*=\s*["']([^"']+)["']/);
+  if (prolog) return ascii(prolog[1], 'prolog');
+  return { encoding:'utf-8', source:'default' };
+}
+
+/* Асинхронный генератор строк из потока байтов. Строковые куски пропускаются как есть.
+   В meta.charset пишется найденная кодировка. */
+async function* decodeText(source, { charset = '' } = {}, meta = {}){
+  let decoder = null;
+  let pending = [];
+  let pendingSize = 0;
+  const start = () => {
+    const head = Buffer.concat(pending);
+    const { encoding, source: from } = detectCharset(head, charset);
+    meta.charset = encoding;
+    meta.charsetSource = from;
+    // BOM TextDecoder отбрасывает сам
+    decoder = new TextDecoder(encoding);
+    pending = [];
+    return decoder.decode(head, { stream: true });
+  };
+
+  for await (const chunk of source) {
+    // строки уже раскодированы вызывающим
+    if (typeof chunk === 'string') {
+      if (!meta.charset) { meta.charset = 'utf-8'; meta.charsetSource = 'string input'; }
+      yield chunk;
+      continue;
+    }
+    if (decoder) { yield decoder.decode(chunk, { stream: true }); continue; }
+    pending.push(chunk);
+    pendingSize += chunk.length;
+    if (pendingSize >= HEAD_BYTES) yield start();
+  }
+  if (!decoder && pendingSize) yield start();
+  if (decoder) yield decoder.decode();
+}
+
+module.exports = { detectCharset, decodeText, charsetFromContentType };
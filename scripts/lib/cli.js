@@ -0,0 +1,20 @@
+/* scripts/lib/cli.js */
+
+/* --name=value | --name value | --flag.
+   booleans — имена флагов без значения: следующий аргумент у них всегда позиционный */
+function parseArgs(argv, { booleans = [] } = {}){
+  const flags = {};
+  const positional = [];
+  for (let i = 0; i < argv.length; i++) {
+    const m = argv[i].match(/^--([^=]+)(?:=(.*))?$/);
+    if (!m) { positional.push(argv[i]); continue; }
+    if (m[2] != null) flags[m[1]] = m[2];
+    else if (!booleans.includes(m[1]) && argv[i+1] != null && !argv[i+1].startsWith('--')) flags[m[1]] = argv[++i];
+    else flags[m[1]] = 'true';
+  }
+  return { flags, positional };
+}
+
+const splitList = raw => String(raw || '').split(',').map(s => s.trim()).filter(Boolean);
+
+module.exports = { parseArgs, splitList };
@@ -0,0 +1,171 @@
+/* scripts/lib/converter.js
+   Конвертация Google-фида в выходной формат без побочных эффектов: ни окружения,
+   ни сети, ни stdout. Вход — XML (строка, Buffer, поток байтов) или уже разобранные записи,
+   настройки — объект для resolveOptions(). Двухпроходная схема та же, что в CLI:
+   первый проход копит модель офферов (convert — в памяти, convertToStream — во временном файле),
+   второй пишет шапку, офферы и подвал.
+*/
+
+const { readFeedEntries } = require('./feed-reader');
+const { createSpool, writeChunk } = require('./spool');
+const { createCategoryTree } = require('./categories');
+const { createIdRegistry } = require('./offer-ids');
+const { createCurrencyTable } = require('./currencies');
+const { createPromoCollector } = require('./sales');
+const { createWriter } = require('./writers');
+const { createBuildReport } = require('./build-report');
+const { createVariantGroups } = require('./variants');
+const { resolveOptions } = require('./options');
+const { one, cleanText, repairMojibake, extractSegments, mapEntry } = require('./mapping');
+
+// модель офферов в памяти, с тем же интерфейсом, что у spool
+function createMemoryStore(){
+  const items = [];
+  return {
+    get size(){ return items.length; },
+    async push(item){ items.push(item); },
+    async *read(){ yield* items; },
+    async dispose(){ items.length = 0; },
+  };
+}
+
+// массив — уже разобранные записи, иначе байты или текст XML
+async function* entriesOf(input, meta, charset){
+  if (Array.isArray(input)) { meta.format = 'entries'; meta.charset = 'utf-8'; yield* input; return; }
+  const source = typeof input === 'string' || Buffer.isBuffer(input) ? [input] : input;
+  yield* readFeedEntries(source, meta, { charset });
+}
+
+async function run(input, o, store, emit){
+  const writer = createWriter(o.format, { timezone: o.timezone, ...o.kaspi });
+  const categories = createCategoryTree();
+  const ids = createIdRegistry();
+  const promos = createPromoCollector();
+  const variants = createVariantGroups({ mode: o.variantMode });
+  const currencies = createCurrencyTable({
+    base: o.currencyBase, rates: o.currencyRates, target: o.currencyTarget, rounding: o.priceRounding,
+  });
+  const report = createBuildReport({ format: o.format });
+  for (const notice of o.notices || []) report.warn('SOURCE_FALLBACK', notice);
+
+  // Проход 1: записи -> модель офферов в хранилище, категории в памяти
+  const meta = {};
+  let entriesCount = 0;
+  const merged = { supplemental: new Set(), inventory: new Set() };
+  const mojibake = {};
+  for await (const raw of entriesOf(input, meta, o.charset)) {
+    entriesCount += 1;
+    const log = report.entry();
+    // записи вызывающего не трогаем: дополнения и исправления — в копии
+    let e = { ...raw };
+    // дополнительные фиды вливаются в запись до маппинга, как это делает Merchant Center
+    const entryId = cleanText(one(e.gid) || one(e.id));
+    if (o.supplemental.has(entryId)) { Object.assign(e, o.supplemental.get(entryId)); merged.supplemental.add(entryId); }
+    if (o.inventory.has(entryId)) { e.local_inventory = o.inventory.get(entryId); merged.inventory.add(entryId); }
+    if (o.repairMojibake) {
+      const repaired = repairMojibake(e);
+      e = repaired.entry;
+      for (const field of repaired.fields) mojibake[field] = (mojibake[field] || 0) + 1;
+      if (repaired.fields.length) log.modify('MOJIBAKE_REPAIRED', `re-decoded ${repaired.fields.join(', ')}`);
+    }
+    const offer = mapEntry(e, log, o);
+    if (!offer) continue;
+    if (o.rules) {
+      if (!o.rules.apply(e, offer, log, report)) continue;
+      offer.offerType = offer.brand && offer.model ? 'vendor.model' : '';
+    }
+    offer.categoryId = categories.add(extractSegments(offer.category));
+    const sourceCurrency = offer.currencyId;
+    currencies.apply(offer);
+    if (offer.currencyId !== sourceCurrency) log.modify('CURRENCY_CONVERTED', `price converted from ${sourceCurrency} to ${offer.currencyId}`);
+    if (o.rules) o.rules.adjustPrices(e, offer);
+    if (offer.sale) {
+      const { start, end, amount, currency } = offer.sale;
+      promos.add(offer, { start: new Date(start), end: new Date(end) }, currencies.convertAmount(amount, currency), offer.currencyId);
+      delete offer.sale;
+    }
+    ids.register(offer);
+    variants.add(offer);
+    await store.push(offer);
+  }
+  if (!entriesCount) throw new Error(`Feed (${meta.format}) contains no entries, refusing to emit an empty catalog`);
+  if (meta.charset !== 'utf-8') o.warn(`Feed decoded as ${meta.charset} (from ${meta.charsetSource})`);
+  if (Object.keys(mojibake).length) {
+    o.warn(`Mojibake repaired: ${Object.entries(mojibake).map(([field, n]) => `${field}=${n}`).join(', ')}`);
+  }
+  ids.report(o.warn);
+  for (const kind of ['supplemental', 'inventory']) {
+    const unmatched = o[kind].size - merged[kind].size;
+    if (unmatched > 0) report.warn(`${kind.toUpperCase()}_UNMATCHED`, `${unmatched} ${kind} ids not found in the primary feed`);
+  }
+  for (const w of variants.warnings()) report.warn(w.code, w.message);
+  for (const d of ids.duplicates) report.warn('DUPLICATE_ID', `offer id ${d.id} ("${d.name}") collides with "${d.first}"`);
+  if (currencies.missing.length) {
+    o.warn(`No rate configured for ${currencies.missing.join(', ')}, emitting rate="CB"`);
+    report.warn('CURRENCY_RATE_MISSING', `no rate configured for ${currencies.missing.join(', ')}, rate="CB" emitted`);
+  }
+
+  const collapsed = variants.collapsedIds();
+
+  // Проход 2: шапка с категориями, затем офферы из хранилища
+  const catalog = {
+    date: o.buildTime,
+    shop: o.shop,
+    categories: categories.nodes(),
+    currencies: currencies.entries(),
+    delivery: o.deliveryDefaults,
+    pickup: o.pickupDefaults,
+    promos: promos.promos(id => !collapsed.has(id)),
+  };
+  await emit(writer.header(catalog));
+  for await (const offer of store.read()) {
+    const { skip, changes } = variants.apply(offer);
+    if (skip) { report.reject(offer, 'VARIANT_COLLAPSED', skip); continue; }
+    for (const c of changes) report.modify(offer, c.code, c.message);
+    delete offer.variant;
+    const reason = writer.rejects ? writer.rejects(offer) : '';
+    if (reason) { report.reject(offer, 'FORMAT_REJECTED', `${o.format}: ${reason}`); continue; }
+    const images = o.imageIndex.get(offer.id);
+    // пустой список — все картинки оффера отклонены проверкой качества, картинки фида не берём
+    if (images?.length) offer.pictures = images;
+    else if (images && offer.pictures) {
+      report.modify(offer, 'PICTURES_REJECTED', 'all pictures failed the image quality check');
+      delete offer.pictures;
+    }
+    await emit(writer.offer(offer), offer);
+    report.output();
+  }
+  await emit(writer.footer(catalog));
+  return { catalog, report };
+}
+
+/* Всё в памяти: { yml, offers, catalog, report }. yml — выходной документ
+   (в формате options.format), offers — модель выгруженных офферов */
+async function convert(input, options = {}){
+  const o = resolveOptions(options);
+  const chunks = [];
+  const offers = [];
+  const store = createMemoryStore();
+  try {
+    const { catalog, report } = await run(input, o, store, async (chunk, offer) => {
+      chunks.push(chunk);
+      if (offer) offers.push(offer);
+    });
+    return { yml: chunks.join(''), offers, catalog, report };
+  } finally {
+    await store.dispose();
+  }
+}
+
+// Для больших фидов: модель офферов во временном файле, документ — в поток out. Возвращает { catalog, report }
+async function convertToStream(input, out, options = {}){
+  const o = resolveOptions(options);
+  const spool = createSpool();
+  try {
+    return await run(input, o, spool, chunk => writeChunk(out, chunk));
+  } finally {
+    await spool.dispose();
+  }
+}
+
+module.exports = { convert, convertToStream };
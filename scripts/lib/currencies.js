@@ -0,0 +1,111 @@
+/* scripts/lib/currencies.js
+   Таблица валют для <currencies>: базовая валюта (rate="1"), курсы прочих
+   из конфигурации — число или ключевое слово Яндекса (CBRF, NBU, NBK, CB) —
+   и необязательный пересчёт всех цен в одну целевую валюту с округлением.
+
+   CURRENCY_RATES="USD=NBK,RUR=5.2,EUR=CBRF+2"  (курс = сколько базовой валюты за единицу)
+   PRICE_ROUNDING="0.01" | "1" | "ceil:100" | "floor:10"
+*/
+
+const YANDEX_CURRENCIES = new Set(['RUR','KZT','USD','EUR','BYN','UAH']);
+const BASE_CAPABLE = new Set(['RUR','KZT','BYN','UAH']);
+const RATE_KEYWORDS = new Set(['CBRF','NBU','NBK','CB']);
+
+function normCurrencyCode(code){
+  let c = String(code || '').trim().toUpperCase();
+  if (c === 'RUB') c = 'RUR';
+  return YANDEX_CURRENCIES.has(c) ? c : '';
+}
+
+function parseCurrencyRates(raw = ''){
+  const rates = new Map();
+  for (const item of String(raw).split(',').map(s => s.trim()).filter(Boolean)) {
+    const m = item.match(/^([A-Za-z]{3})\s*[=:]\s*([A-Za-z]+|\d+(?:[.,]\d+)?)(?:\s*\+\s*(\d+(?:[.,]\d+)?))?$/);
+    if (!m) throw new Error(`Invalid currency rate "${item}": expected CODE=number or CODE=CBRF|NBU|NBK|CB[+percent]`);
+    const code = normCurrencyCode(m[1]);
+    if (!code) throw new Error(`Unsupported currency "${m[1]}" in currency rates`);
+    const token = m[2].toUpperCase();
+    let rate;
+    if (RATE_KEYWORDS.has(token)) rate = token;
+    else if (/^\d/.test(token)) rate = Number(token.replace(',', '.'));
+    else throw new Error(`Unknown rate keyword "${m[2]}" for ${code}`);
+    if (typeof rate === 'number' && !(rate > 0)) throw new Error(`Rate for ${code} must be positive`);
+    const plus = m[3] ? Number(m[3].replace(',', '.')) : 0;
+    if (plus && typeof rate === 'number') throw new Error(`"+percent" is only allowed with a bank keyword (${item})`);
+    rates.set(code, { rate, plus });
+  }
+  return rates;
+}
+
+function parseRounding(raw = ''){
+  const m = String(raw || '0.01').trim().match(/^(?:(round|ceil|floor)\s*:\s*)?(\d+(?:\.\d+)?)$/i);
+  if (!m || !(Number(m[2]) > 0)) throw new Error(`Invalid price rounding "${raw}": expected [round|ceil|floor:]step`);
+  const step = Number(m[2]);
+  const decimals = (m[2].split('.')[1] || '').length;
+  return { mode: (m[1] || 'round').toLowerCase(), step, decimals };
+}
+
+function roundPrice(value, { mode, step, decimals }){
+  // деление/умножение на шаг даёт хвосты вида 0.30000000000000004 — срезаем их до округления
+  const units = Number((value / step).toFixed(6));
+  return (Math[mode](units) * step).toFixed(decimals);
+}
+
+function createCurrencyTable({ base = 'KZT', rates = new Map(), target = '', rounding = '' } = {}){
+  const baseCode = normCurrencyCode(base);
+  if (!BASE_CAPABLE.has(baseCode)) throw new Error(`Base currency must be one of ${Array.from(BASE_CAPABLE).join(', ')}, got "${base}"`);
+  const targetCode = target ? normCurrencyCode(target) : '';
+  if (target && !targetCode) throw new Error(`Unsupported target currency "${target}"`);
+  const round = parseRounding(rounding);
+  const used = new Set([baseCode]);
+  const missing = new Set();
+
+  function numericRate(code){
+    if (code === baseCode) return 1;
+    const entry = rates.get(code);
+    if (!entry) throw new Error(`No rate configured for ${code}, cannot convert prices to ${targetCode}`);
+    if (typeof entry.rate !== 'number') throw new Error(`Rate for ${code} is "${entry.rate}", a numeric rate is required to convert prices to ${targetCode}`);
+    return entry.rate;
+  }
+  if (targetCode) numericRate(targetCode);
+
+  function convert(amount, from){
+    if (!amount || !targetCode || from === targetCode) return amount;
+    const value = Number(amount) * numericRate(from) / numericRate(targetCode);
+    return roundPrice(value, round);
+  }
+
+  return {
+    base: baseCode,
+    target: targetCode,
+    // сумма в целевой валюте (или как есть, если пересчёт не настроен)
+    convertAmount: convert,
+    // пересчитывает цены оффера (если задана целевая валюта) и отмечает валюту как используемую
+    apply(offer){
+      const from = offer.currencyId || baseCode;
+      if (targetCode && from !== targetCode) {
+        offer.price = convert(offer.price, from);
+        offer.oldprice = convert(offer.oldprice, from);
+        offer.currencyId = targetCode;
+      } else {
+        offer.currencyId = from;
+      }
+      used.add(offer.currencyId);
+      if (offer.currencyId !== baseCode && !rates.has(offer.currencyId)) missing.add(offer.currencyId);
+      return offer;
+    },
+    // без курса в конфиге пишем rate="CB" — курс центробанка страны магазина
+    entries(){
+      const list = [{ id: baseCode, rate: '1', plus: 0 }];
+      for (const code of Array.from(used).sort()) {
+        if (code === baseCode) continue;
+        const entry = rates.get(code) || { rate: 'CB', plus: 0 };
+        list.push({ id: code, rate: String(entry.rate), plus: entry.plus });
+      }
+      return list;
+    },
+    get missing(){ return Array.from(missing); },
+  };
+}
+
+module.exports = { normCurrencyCode, parseCurrencyRates, parseRounding, roundPrice, createCurrencyTable };
@@ -0,0 +1,83 @@
+/* scripts/lib/delivery.js
+   g:shipping -> <delivery-options>/<pickup-options> Яндекса.
+   Срок = время обработки (handling) + время в пути (transit), в рабочих днях.
+   Настройки магазина по умолчанию: DELIVERY_OPTIONS / PICKUP_OPTIONS вида
+   "стоимость:дни[:order-before];…", например "0:1-3:14;1500:1".
+*/
+
+const MAX_OPTIONS = 5;
+const PICKUP_SERVICE = /pickup|самовывоз|in[\s_-]?store|click\s*(?:&|and)\s*collect/i;
+
+function parseDeliveryOptions(raw = '', label = 'delivery options'){
+  const list = [];
+  for (const item of String(raw).split(';').map(s => s.trim()).filter(Boolean)) {
+    const [cost = '', days = '', orderBefore = ''] = item.split(':').map(s => s.trim());
+    if (!/^\d+(?:\.\d+)?$/.test(cost)) throw new Error(`Invalid ${label} "${item}": cost must be a non-negative number`);
+    if (!/^\d+(?:-\d+)?$/.test(days)) throw new Error(`Invalid ${label} "${item}": days must be N or N-M`);
+    if (orderBefore && !(/^\d+$/.test(orderBefore) && Number(orderBefore) <= 24)) {
+      throw new Error(`Invalid ${label} "${item}": order-before must be an hour 0-24`);
+    }
+    list.push({ cost, days, orderBefore });
+  }
+  if (list.length > MAX_OPTIONS) throw new Error(`Too many ${label}: Yandex accepts at most ${MAX_OPTIONS}`);
+  return list;
+}
+
+const sumDays = (a, b) => (a == null && b == null) ? null : (a || 0) + (b || 0);
+
+function formatDays(min, max){
+  if (min == null && max == null) return '';
+  const lo = Math.min(min ?? max, max ?? min);
+  const hi = Math.max(min ?? max, max ?? min);
+  return lo === hi ? String(lo) : `${lo}-${hi}`;
+}
+
+function shippingDays(s){
+  const min = sumDays(s.minHandling ?? s.maxHandling, s.minTransit ?? s.maxTransit);
+  const max = sumDays(s.maxHandling ?? s.minHandling, s.maxTransit ?? s.minTransit);
+  return formatDays(min, max);
+}
+
+function finalizeOptions(options){
+  const seen = new Set();
+  return options
+    .filter(o => { const k = `${o.cost}|${o.days}`; if (seen.has(k)) return false; seen.add(k); return true; })
+    .sort((a, b) => Number(a.cost) - Number(b.cost))
+    .slice(0, MAX_OPTIONS);
+}
+
+/* shippings — уже разобранные g:shipping: { country, region, service, cost,
+   minHandling, maxHandling, minTransit, maxTransit }. Берём записи страны магазина;
+   если есть общенациональные (без региона), региональные игнорируем — в YML
+   опции доставки описывают только домашний регион магазина. */
+function buildShippingOptions(shippings, { country = '', defaults = [], pickupDefaults = [] } = {}){
+  const wanted = country.toUpperCase();
+  const matched = shippings.filter(s => !wanted || !s.country || s.country.toUpperCase() === wanted);
+  const national = matched.filter(s => !s.region);
+  const pool = national.length ? national : matched;
+
+  const delivery = [];
+  const pickup = [];
+  for (const s of pool) {
+    if (s.cost === '' || s.cost == null || Number.isNaN(Number(s.cost))) continue;
+    const isPickup = PICKUP_SERVICE.test(s.service || '');
+    // без сроков в фиде берём срок из опций магазина по умолчанию
+    const fallback = (isPickup ? pickupDefaults : defaults)[0];
+    const days = shippingDays(s) || (fallback ? fallback.days : '');
+    if (!days) continue;
+    (isPickup ? pickup : delivery).push({ cost: String(Number(s.cost)), days, orderBefore: '' });
+  }
+  return { delivery: finalizeOptions(delivery), pickup: finalizeOptions(pickup) };
+}
+
+// g:pickup_method + g:pickup_sla (покупка онлайн с самовывозом из магазина)
+const PICKUP_SLA_DAYS = { same_day:'0', next_day:'1' };
+function pickupFromSla(method = '', sla = ''){
+  const m = String(method).trim().toLowerCase();
+  if (!m || m === 'not supported' || m === 'not_supported') return null;
+  const key = String(sla).trim().toLowerCase().replace(/[\s-]+/g, '_');
+  const days = PICKUP_SLA_DAYS[key] || (key.match(/^(\d+)_day$/) || [])[1];
+  return days ? { cost:'0', days, orderBefore:'' } : null;
+}
+
+module.exports = { parseDeliveryOptions, buildShippingOptions, pickupFromSla, formatDays };
@@ -0,0 +1,109 @@
+/* scripts/lib/feed-diff.js
+   Сравнение двух YML-фидов (опубликованного и нового): добавленные и удалённые офферы,
+   изменения цены, наличия и категории, плюс проверка порогов, при превышении которых
+   публикацию нужно остановить.
+*/
+
+const { streamRecords } = require('./feed-reader');
+const { YML_ROOTS } = require('./yml-validator');
+
+const one = v => Array.isArray(v) ? v[0] : v;
+const textOf = v => { const x = one(v); return String(x && typeof x === 'object' ? (x._ || '') : (x ?? '')).trim(); };
+
+// только то, что нужно для сравнения: так в памяти держится по паре строк на оффер
+async function summarizeYml(source){
+  const offers = new Map();
+  const categories = new Map();
+  for await (const { tag, value } of streamRecords(source, { roots: YML_ROOTS, expected: 'Yandex YML <yml_catalog>' })) {
+    if (tag === 'category') categories.set(String(value.id || '').trim(), textOf(value));
+    if (tag !== 'offer') continue;
+    const id = String(value.id || '').trim();
+    if (!id) continue;
+    offers.set(id, {
+      price: Number(textOf(value.price)),
+      currencyId: textOf(value.currencyId),
+      available: value.available !== 'false',
+      categoryId: textOf(value.categoryId),
+    });
+  }
+  return { offers, categories };
+}
+
+const round1 = n => Math.round(n * 10) / 10;
+
+function diffFeeds(prev, next){
+  const added = [];
+  const removed = [];
+  const priceChanges = [];
+  const availabilityFlips = [];
+  const categoryChanges = [];
+  const categoryName = (feed, id) => feed.categories.get(id) || id;
+
+  for (const id of next.offers.keys()) if (!prev.offers.has(id)) added.push(id);
+  for (const [id, before] of prev.offers) {
+    const after = next.offers.get(id);
+    if (!after) { removed.push(id); continue; }
+    if (before.price !== after.price || before.currencyId !== after.currencyId) {
+      const comparable = before.currencyId === after.currencyId && before.price > 0;
+      priceChanges.push({
+        id,
+        from: before.price, to: after.price,
+        fromCurrency: before.currencyId, toCurrency: after.currencyId,
+        changePct: comparable ? round1((after.price - before.price) / before.price * 100) : null,
+      });
+    }
+    if (before.available !== after.available) availabilityFlips.push({ id, from: before.available, to: after.available });
+    if (before.categoryId !== after.categoryId) {
+      categoryChanges.push({ id, from: categoryName(prev, before.categoryId), to: categoryName(next, after.categoryId) });
+    }
+  }
+
+  const prevCount = prev.offers.size;
+  const pct = n => prevCount ? round1(n / prevCount * 100) : 0;
+  return {
+    previousOffers: prevCount,
+    nextOffers: next.offers.size,
+    summary: {
+      added: added.length,
+      removed: removed.length,
+      removedPct: pct(removed.length),
+      priceChanges: priceChanges.length,
+      becameUnavailable: availabilityFlips.filter(f => !f.to).length,
+      becameUnavailablePct: pct(availabilityFlips.filter(f => !f.to).length),
+      becameAvailable: availabilityFlips.filter(f => f.to).length,
+      categoryChanges: categoryChanges.length,
+    },
+    added, removed, priceChanges, availabilityFlips, categoryChanges,
+  };
+}
+
+/* limits: { maxRemovedPct, maxPriceDropPct, maxUnavailablePct }; возвращает список нарушений.
+   Пустой прошлый фид (первая публикация) ничего не блокирует. */
+function checkThresholds(diff, { maxRemovedPct = 20, maxPriceDropPct = 30, maxUnavailablePct = 20 } = {}){
+  const violations = [];
+  if (!diff.previousOffers) return violations;
+  if (diff.summary.removedPct > maxRemovedPct) {
+    violations.push({
+      code: 'OFFERS_REMOVED',
+      message: `${diff.summary.removed} of ${diff.previousOffers} offers removed (${diff.summary.removedPct}% > ${maxRemovedPct}%)`,
+    });
+  }
+  if (diff.summary.becameUnavailablePct > maxUnavailablePct) {
+    violations.push({
+      code: 'OFFERS_UNAVAILABLE',
+      message: `${diff.summary.becameUnavailable} offers became unavailable (${diff.summary.becameUnavailablePct}% > ${maxUnavailablePct}%)`,
+    });
+  }
+  const drops = diff.priceChanges.filter(c => c.changePct != null && -c.changePct > maxPriceDropPct);
+  if (drops.length) {
+    const sample = drops.slice(0, 10).map(c => `${c.id} ${c.from}→${c.to} (${c.changePct}%)`).join(', ');
+    violations.push({
+      code: 'PRICE_DROP',
+      message: `${drops.length} offers dropped in price by more than ${maxPriceDropPct}%: ${sample}${drops.length > 10 ? ', …' : ''}`,
+      offers: drops.map(c => c.id),
+    });
+  }
+  return violations;
+}
+
+module.exports = { summarizeYml, diffFeeds, checkThresholds };
@@ -0,0 +1,157 @@
+/* scripts/lib/feed-merge.js
+   Дополнительные фиды Google Merchant, которые вливаются в записи основного фида до маппинга:
+   - supplemental: поля по id перекрывают или дополняют поля основного фида (последний фид главнее);
+   - local inventory: остатки по магазинам (store_code, quantity, availability, pickup_method, pickup_sla).
+   Оба читаются либо как XML (RSS/Atom, как основной фид), либо как TSV/CSV с шапкой.
+*/
+
+const readline = require('readline');
+const { Readable } = require('stream');
+const { readFeedEntries } = require('./feed-reader');
+const { decodeText } = require('./charset');
+
+const one = v => Array.isArray(v) ? v[0] : v;
+const textOf = v => { const x = one(v); return String(x && typeof x === 'object' ? (x._ || '') : (x ?? '')).trim(); };
+
+// "g:store code" / "Store_Code" -> store_code; itemid — старое имя id в локальных фидах
+function normalizeColumn(name){
+  const key = String(name).trim().toLowerCase().replace(/^[a-z]+:/, '').replace(/[\s-]+/g, '_');
+  return key === 'itemid' || key === 'item_id' ? 'id' : key;
+}
+
+function splitDelimited(line, delimiter){
+  if (delimiter === '\t') return line.split('\t').map(s => s.trim());
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i+1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === delimiter) { cells.push(cell.trim()); cell = ''; }
+    else cell += ch;
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+async function* readDelimited(stream){
+  let columns = null;
+  let delimiter = '\t';
+  for await (const line of readline.createInterface({ input: stream, crlfDelay: Infinity })) {
+    if (!line.trim()) continue;
+    if (!columns) {
+      delimiter = line.includes('\t') ? '\t' : (line.includes(';') && !line.includes(',') ? ';' : ',');
+      columns = splitDelimited(line, delimiter).map(normalizeColumn);
+      continue;
+    }
+    const cells = splitDelimited(line, delimiter);
+    const row = {};
+    columns.forEach((col, i) => { if (col && cells[i]) row[col] = cells[i]; });
+    yield row;
+  }
+}
+
+/* Записи фида в виде объектов-полей, независимо от формата:
+   по первому непустому символу решаем, XML это или таблица */
+async function* readFeedRows(source, label = 'feed', charset = ''){
+  const iterator = decodeText(source, { charset })[Symbol.asyncIterator]();
+  let first = await iterator.next();
+  while (!first.done && !first.value) first = await iterator.next();
+  if (first.done) return;
+  const rest = Readable.from((async function* (){
+    yield first.value;
+    for (let r = await iterator.next(); !r.done; r = await iterator.next()) yield r.value;
+  })());
+  if (/^\s*</.test(first.value)) {
+    try { yield* readFeedEntries(rest); }
+    catch (err) { throw new Error(`${label}: ${err.message}`); }
+  } else {
+    yield* readDelimited(rest);
+  }
+}
+
+const rowId = row => textOf(row.gid) || textOf(row.id);
+
+/* supplemental — Map id -> поля; на пересечении полей побеждает более поздний фид
+   (загружайте по порядку в один и тот же into). Google не создаёт товары из дополнительных
+   фидов, поэтому id без записи в основном фиде при слиянии просто не используются */
+async function loadSupplemental(source, label, into = new Map(), charset = ''){
+  for await (const row of readFeedRows(source, label, charset)) {
+    const id = rowId(row);
+    if (!id) continue;
+    const fields = { ...row };
+    delete fields.gid; delete fields.id;
+    into.set(id, Object.assign(into.get(id) || {}, fields));
+  }
+  return into;
+}
+
+// local inventory — Map id -> [{ storeCode, quantity, availability, pickupMethod, pickupSla }]
+async function loadLocalInventory(source, label, into = new Map(), charset = ''){
+  for await (const row of readFeedRows(source, label, charset)) {
+    const id = rowId(row);
+    const storeCode = textOf(row.store_code);
+    if (!id || !storeCode) continue;
+    const qty = parseInt(textOf(row.quantity), 10);
+    const list = into.get(id) || [];
+    // повтор магазина в более позднем фиде заменяет прежнюю строку
+    const item = {
+      storeCode,
+      quantity: Number.isFinite(qty) && qty >= 0 ? qty : null,
+      availability: textOf(row.availability).toLowerCase().replace(/\s+/g, '_'),
+      pickupMethod: textOf(row.pickup_method),
+      pickupSla: textOf(row.pickup_sla),
+    };
+    const at = list.findIndex(s => s.storeCode === storeCode);
+    if (at >= 0) list[at] = item; else list.push(item);
+    into.set(id, list);
+  }
+  return into;
+}
+
+// OUTLET_IDS="ALM1=12345,AST1=67890": store_code Google -> id точки продаж в кабинете Яндекса
+function parseOutletIds(raw = ''){
+  const map = new Map();
+  for (const item of String(raw).split(',').map(s => s.trim()).filter(Boolean)) {
+    const [code, outletId] = item.split('=').map(s => (s || '').trim());
+    if (!code || !outletId) throw new Error(`Invalid OUTLET_IDS entry "${item}": expected store_code=outlet_id`);
+    map.set(code, outletId);
+  }
+  return map;
+}
+
+const IN_STOCK = new Set(['in_stock', 'limited_availability', 'available']);
+const PICKUP_OFF = new Set(['', 'not_supported', 'not supported']);
+const SLA_ORDER = ['same_day', 'next_day'];
+const slaRank = sla => {
+  const key = String(sla).toLowerCase().replace(/[\s-]+/g, '_');
+  const at = SLA_ORDER.indexOf(key);
+  if (at >= 0) return at;
+  const days = parseInt(key, 10);
+  return Number.isFinite(days) ? days : Infinity;
+};
+
+/* Сводка остатков по офферу: <count> — сумма известных остатков в магазинах с наличием,
+   <outlets> — магазины с наличием, самовывоз — по самому быстрому pickup_sla */
+function summarizeLocalInventory(stores, outletIds = new Map()){
+  const available = stores.filter(s => IN_STOCK.has(s.availability) && s.quantity !== 0);
+  const counted = stores.some(s => s.quantity != null);
+  const pickupStores = available.filter(s => !PICKUP_OFF.has(s.pickupMethod.toLowerCase()));
+  const fastest = pickupStores.slice().sort((a, b) => slaRank(a.pickupSla) - slaRank(b.pickupSla))[0];
+  return {
+    // нет ни одного остатка в цифрах — <count> не пишем, если только товара нет нигде
+    count: counted || !available.length ? available.reduce((sum, s) => sum + (s.quantity || 0), 0) : null,
+    outlets: available.map(s => ({ id: outletIds.get(s.storeCode) || s.storeCode, instock: s.quantity })),
+    // остаток по коду магазина из фида, только где он указан цифрой (для Kaspi)
+    stock: Object.fromEntries(stores.filter(s => s.quantity != null).map(s => [s.storeCode, IN_STOCK.has(s.availability) ? s.quantity : 0])),
+    store: available.length > 0,
+    pickupMethod: fastest ? fastest.pickupMethod : '',
+    pickupSla: fastest ? fastest.pickupSla : '',
+  };
+}
+
+module.exports = { readFeedRows, loadSupplemental, loadLocalInventory, parseOutletIds, summarizeLocalInventory };
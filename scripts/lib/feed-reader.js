@@ -0,0 +1,91 @@
+/* scripts/lib/feed-reader.js
+   Потоковый (SAX) разбор Google-фида: отдаёт <entry>/<item> по одному,
+   в той же форме, что давал xml2js с explicitArray:false, mergeAttrs:true.
+   streamRecords — то же для произвольного документа (валидатор читает им YML).
+   Кодировка определяется по BOM, charset из заголовков и XML-прологу (см. charset.js).
+*/
+
+const sax = require('sax');
+const { stripPrefix } = require('xml2js').processors;
+const { decodeText } = require('./charset');
+
+// Atom: <feed><entry>, RSS 2.0: <rss><channel><item>; records — тег записи -> его глубина
+const ROOTS = {
+  feed: { format:'atom', records:{ entry:1 } },
+  rss:  { format:'rss',  records:{ item:2 } },
+};
+
+// g:id и атомовский <id> после stripPrefix слились бы в один ключ — g:id держим отдельно как gid
+function normalizeTagName(name){
+  return /^[^:]+:id$/.test(name) ? 'gid' : stripPrefix(name);
+}
+
+function addChild(obj, key, value){
+  if (!Object.prototype.hasOwnProperty.call(obj, key)) obj[key] = value;
+  else if (Array.isArray(obj[key])) obj[key].push(value);
+  else obj[key] = [obj[key], value];
+}
+
+function finishNode(node){
+  const text = node.text.trim();
+  if (!Object.keys(node.obj).length) return text;
+  if (text) node.obj._ = text;
+  return node.obj;
+}
+
+/* Асинхронный генератор записей { tag, value }. roots — корневой тег -> { format, records },
+   expected — описание допустимых корней для сообщения об ошибке, charset — кодировка из заголовков;
+   в meta.format пишется формат, как только встретился корневой элемент, в meta.charset — кодировка. */
+async function* streamRecords(source, { roots, expected = Object.keys(roots).map(tag => `<${tag}>`).join(' or '), charset = '' }, meta = {}){
+  const parser = sax.parser(true, { trim:false, normalize:false });
+  const queue = [];
+  const stack = [];
+  let spec = null;
+  let depth = 0;
+  let failure = null;
+
+  parser.onopentag = ({ name, attributes }) => {
+    const tag = normalizeTagName(name);
+    if (depth === 0) {
+      spec = roots[tag] || null;
+      if (spec) meta.format = spec.format;
+      else failure = new Error(`Unrecognised feed root <${tag}>: expected ${expected}`);
+    }
+    const isRecord = spec && !stack.length && spec.records[tag] === depth;
+    depth++;
+    if (!stack.length && !isRecord) return;
+    const obj = {};
+    for (const [key, value] of Object.entries(attributes)) obj[key] = String(value).trim();
+    stack.push({ tag, obj, text:'' });
+  };
+  parser.ontext = parser.oncdata = text => {
+    if (stack.length) stack[stack.length-1].text += text;
+  };
+  parser.onclosetag = () => {
+    depth--;
+    if (!stack.length) return;
+    const node = stack.pop();
+    const value = finishNode(node);
+    if (stack.length) addChild(stack[stack.length-1].obj, node.tag, value);
+    else queue.push({ tag: node.tag, value });
+  };
+  parser.onerror = err => { failure = failure || err; };
+
+  for await (const text of decodeText(source, { charset }, meta)) {
+    parser.write(text);
+    if (failure) throw failure;
+    yield* queue.splice(0);
+  }
+  parser.close();
+  if (failure) throw failure;
+  yield* queue.splice(0);
+  if (!spec) throw new Error(`Unrecognised feed root (empty document): expected ${expected}`);
+}
+
+// товары Google-фида (Atom или RSS 2.0) по одному
+async function* readFeedEntries(source, meta = {}, { charset = '' } = {}){
+  const expected = 'Atom <feed><entry> or RSS 2.0 <rss><channel><item>';
+  for await (const record of streamRecords(source, { roots: ROOTS, expected, charset }, meta)) yield record.value;
+}
+
+module.exports = { readFeedEntries, streamRecords, normalizeTagName };
@@ -0,0 +1,95 @@
+/* scripts/lib/host-scheduler.js
+   Очередь задач с ограничениями по хостам для sync-images-to-r2.js: не больше concurrency
+   задач всего и perHost на один хост, не чаще rate запусков в секунду на хост.
+   pause(host, ms) придерживает хост (Retry-After на 429/503). Очереди по хостам
+   обслуживаются по кругу, так что медленный CDN не задерживает остальные.
+*/
+
+function createHostScheduler({ concurrency = 4, perHost = concurrency, rate = 0, now = Date.now } = {}){
+  const interval = rate > 0 ? 1000 / rate : 0;
+  const hosts = new Map();
+  let active = 0;
+  let turn = 0;
+  let timer = null;
+  let timerAt = Infinity;
+
+  const hostOf = host => {
+    if (!hosts.has(host)) {
+      hosts.set(host, { queue: [], active: 0, readyAt: 0, stats: { started: 0, waitMs: 0, pauses: 0 } });
+    }
+    return hosts.get(host);
+  };
+
+  function wake(at){
+    if (timer && timerAt <= at) return;
+    clearTimeout(timer);
+    timerAt = at;
+    timer = setTimeout(() => { timer = null; timerAt = Infinity; pump(); }, Math.max(0, at - now()));
+  }
+
+  function start(h, job){
+    const t = now();
+    active += 1;
+    h.active += 1;
+    h.readyAt = Math.max(h.readyAt, t + interval);
+    h.stats.started += 1;
+    h.stats.waitMs += t - job.queuedAt;
+    Promise.resolve().then(job.task).then(job.resolve, job.reject).finally(() => {
+      active -= 1;
+      h.active -= 1;
+      pump();
+    });
+  }
+
+  function pump(){
+    const list = [...hosts.values()];
+    let earliest = Infinity;
+    while (active < concurrency) {
+      const t = now();
+      let picked = null;
+      for (let i = 0; i < list.length && !picked; i++) {
+        const h = list[(turn + i) % list.length];
+        if (!h.queue.length || h.active >= perHost) continue;
+        if (h.readyAt > t) { earliest = Math.min(earliest, h.readyAt); continue; }
+        picked = h;
+        turn = (turn + i + 1) % list.length;
+      }
+      if (!picked) break;
+      start(picked, picked.queue.shift());
+    }
+    if (earliest < Infinity) wake(earliest);
+  }
+
+  return {
+    // task — async-функция; результат run — её результат, когда до неё дойдёт очередь
+    run(host, task){
+      return new Promise((resolve, reject) => {
+        hostOf(host).queue.push({ task, resolve, reject, queuedAt: now() });
+        pump();
+      });
+    },
+    pause(host, ms){
+      const h = hostOf(host);
+      h.readyAt = Math.max(h.readyAt, now() + ms);
+      h.stats.pauses += 1;
+    },
+    // host -> { started, waitMs, pauses }; объект общий, вызывающий может дописывать свои счётчики
+    stats(host){
+      return hostOf(host).stats;
+    },
+    hosts(){
+      return [...hosts.keys()];
+    },
+  };
+}
+
+/* Retry-After: секунды или HTTP-дата. Возвращает задержку в мс или null */
+function parseRetryAfter(value, now = Date.now()){
+  if (!value) return null;
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) return Number(text) * 1000;
+  const at = Date.parse(text);
+  return Number.isNaN(at) ? null : Math.max(0, at - now);
+}
+
+module.exports = { createHostScheduler, parseRetryAfter };
@@ -0,0 +1,90 @@
+/* scripts/lib/html.js
+   HTML описания -> подмножество, которое Яндекс.Маркет принимает в <description><![CDATA[…]]>:
+   <p>, <br/>, <ul>/<ol>/<li>, <h3>. Скрипты, стили, комментарии и картинки выбрасываются
+   вместе с содержимым или без следа, атрибуты снимаются, прочие теги разворачиваются в текст.
+   Обрезка по длине идёт по словам и никогда не рвёт тег: открытые теги закрываются.
+*/
+
+const BLOCK_ALIASES = new Map([
+  ['p','p'], ['div','p'], ['section','p'], ['article','p'], ['blockquote','p'], ['tr','p'], ['dd','p'], ['dt','p'],
+  ['ul','ul'], ['ol','ol'], ['li','li'],
+  ['h1','h3'], ['h2','h3'], ['h3','h3'], ['h4','h3'], ['h5','h3'], ['h6','h3'],
+]);
+const DROP_WITH_CONTENT = /<(script|style|noscript|iframe|object|svg|template)\b[^>]*>[\s\S]*?<\/\1\s*>/gi;
+const TOKEN = /<!--[\s\S]*?-->|<\/?([a-zA-Z][a-zA-Z0-9]*)\b[^>]*>|[^<]+|</g;
+
+const escapeText = s => s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+// html уже без сущностей (&lt;p&gt; раскрыт вызывающим); возвращает { html, truncated, length }
+function sanitizeHtml(html = '', { maxLength = 3000 } = {}){
+  const tokens = [];
+  for (const m of String(html).replace(DROP_WITH_CONTENT, ' ').matchAll(TOKEN)) {
+    const raw = m[0];
+    if (raw.startsWith('<!--')) continue;
+    if (m[1]) {
+      const name = m[1].toLowerCase();
+      const closing = raw[1] === '/';
+      if (name === 'br') { if (!closing) tokens.push({ type:'br' }); continue; }
+      const tag = BLOCK_ALIASES.get(name);
+      if (tag) tokens.push({ type: closing ? 'close' : 'open', tag });
+      else if (name === 'td' || name === 'th') tokens.push({ type:'text', text:' ' });
+      continue;
+    }
+    tokens.push({ type:'text', text: raw.replace(/\s+/g, ' ') });
+  }
+
+  const stack = [];
+  let out = '';
+  let truncated = false;
+  const closingLength = () => stack.reduce((n, tag) => n + tag.length + 3, 0);
+  const closeTo = tag => { while (stack.length) { const top = stack.pop(); out += `</${top}>`; if (top === tag) break; } };
+
+  for (const token of tokens) {
+    if (token.type === 'open') {
+      // вложенные абзацы и заголовки Маркету не нужны: новый блок закрывает предыдущий
+      if ((token.tag === 'p' || token.tag === 'h3') && stack.some(t => t === 'p' || t === 'h3')) closeTo(stack.find(t => t === 'p' || t === 'h3'));
+      if (token.tag === 'li' && stack.includes('li')) closeTo('li');
+      if (out.length + token.tag.length + 2 + closingLength() + token.tag.length + 3 > maxLength) { truncated = true; break; }
+      out += `<${token.tag}>`;
+      stack.push(token.tag);
+    } else if (token.type === 'close') {
+      if (stack.includes(token.tag)) closeTo(token.tag);
+    } else if (token.type === 'br') {
+      if (!out || out.endsWith('<br/>') || /<(p|li|h3|ul|ol)>$/.test(out)) continue;
+      if (out.length + 5 + closingLength() > maxLength) { truncated = true; break; }
+      out += '<br/>';
+    } else {
+      let text = token.text;
+      // пробел в начале блока и двойные пробелы на стыке токенов не нужны
+      if (/^ /.test(text) && (!out || /[ >]$/.test(out))) text = text.slice(1);
+      if (!text) continue;
+      const escaped = escapeText(text);
+      const room = maxLength - out.length - closingLength();
+      if (escaped.length <= room) { out += escaped; continue; }
+      // не влезает: режем по слову, ставим многоточие
+      truncated = true;
+      let cut = text.slice(0, Math.max(0, room - 1));
+      while (cut && escapeText(cut).length + 1 > room) cut = cut.slice(0, -1);
+      // оборванное слово убираем целиком
+      if (/\S/.test(text[cut.length] || ' ')) cut = /\s/.test(cut) ? cut.replace(/\s+\S*$/, '') : '';
+      cut = cut.trim();
+      if (cut) out += `${escapeText(cut)}…`;
+      break;
+    }
+  }
+  while (stack.length) out += `</${stack.pop()}>`;
+
+  // пустые блоки после вычистки картинок и скриптов
+  let previous;
+  do {
+    previous = out;
+    out = out.replace(/<(p|li|h3|ul|ol)>(?:\s|<br\/>)*<\/\1>/g, '').replace(/(?:<br\/>\s*)+(<\/(?:p|li|h3)>)/g, '$1');
+  } while (out !== previous);
+  out = out.replace(/ +(<\/(?:p|li|h3)>)/g, '$1').trim();
+  return { html: out, truncated, length: out.length };
+}
+
+// есть ли в результате разметка (иначе это обычный текст, CDATA не нужен)
+const hasMarkup = html => /<(p|br|ul|ol|li|h3)\b/.test(html);
+
+module.exports = { sanitizeHtml, hasMarkup };
@@ -0,0 +1,51 @@
+/* scripts/lib/image-gc.js
+   Сборка мусора в хранилище картинок. Картинка под img/ нужна, пока на неё ссылается
+   текущий манифест (images-manifest.json) или один из последних N снимков манифеста:
+   опубликованный раньше фид может ещё ссылаться на старые ключи. Остальные объекты —
+   сироты; удаляются только те, что лежат дольше срока ожидания (загрузка из идущей
+   параллельно синхронизации ещё не попала ни в один манифест).
+*/
+
+const IMAGE_PREFIX = 'img/';
+const HISTORY_PREFIX = 'manifests/history/';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ключ снимка манифеста: по нему снимки сортируются по времени
+function historyKey(date = new Date()){
+  return `${HISTORY_PREFIX}images-manifest-${date.toISOString().replace(/[:.]/g, '-')}.json`;
+}
+
+// ключи основной картинки и её вариантов из манифеста { srcUrl: { r2Key, variants } }
+function referencedKeys(manifests){
+  const keys = new Set();
+  for (const manifest of manifests) {
+    for (const meta of Object.values(manifest || {})) {
+      if (meta?.r2Key) keys.add(meta.r2Key);
+      for (const key of Object.values(meta?.variants || {})) keys.add(key);
+    }
+  }
+  return keys;
+}
+
+/* objects — { key, size, lastModified } из storage.list(IMAGE_PREFIX).
+   Возвращает { total, orphans, deletable }: deletable — сироты старше graceDays */
+async function findOrphans(objects, referenced, { graceDays = 7, now = new Date() } = {}){
+  const orphans = [];
+  let total = 0;
+  for await (const object of objects) {
+    total += 1;
+    if (!referenced.has(object.key)) orphans.push(object);
+  }
+  const cutoff = now.getTime() - graceDays * DAY_MS;
+  return { total, orphans, deletable: orphans.filter(o => o.lastModified.getTime() < cutoff) };
+}
+
+function formatBytes(bytes){
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) { value /= 1024; unit += 1; }
+  return `${unit ? value.toFixed(1) : value} ${units[unit]}`;
+}
+
+module.exports = { IMAGE_PREFIX, HISTORY_PREFIX, historyKey, referencedKeys, findOrphans, formatBytes };
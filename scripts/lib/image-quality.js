@@ -0,0 +1,128 @@
+/* scripts/lib/image-quality.js
+   Проверка картинок перед загрузкой в хранилище: размер (Маркет не берёт меньше 250×250),
+   цветовое пространство (CMYK переводится в sRGB), пустые однотонные картинки и заглушки
+   («нет фото» и т.п.). Заглушки узнаются по перцептивному хэшу (dHash, 64 бита) — список
+   хэшей в IMAGE_PLACEHOLDERS или файле, сравнение по расстоянию Хэмминга.
+   Для поиска визуально одинаковых картинок у разных офферов — более точный отпечаток:
+   dHash 16×16 (256 бит), пропорции кадра и средний цвет четвертей кадра: dHash считается
+   по яркости и не отличает, например, красный телефон от синего. Пережатые копии
+   отличаются на несколько бит хэша и несколько единиц цвета.
+*/
+
+const fs = require('fs');
+const sharp = require('sharp');
+
+const HASH_RE = /^[0-9a-f]{16}$/;
+
+// dHash: картинка (size+1)×size в оттенках серого, бит — «пиксель ярче соседа справа»
+async function perceptualHash(buffer, size = 8){
+  const pixels = await sharp(buffer).flatten({ background: '#ffffff' }).greyscale()
+    .resize(size + 1, size, { fit: 'fill' }).raw().toBuffer();
+  let bits = 0n;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      bits = (bits << 1n) | (pixels[y * (size + 1) + x] > pixels[y * (size + 1) + x + 1] ? 1n : 0n);
+    }
+  }
+  return bits.toString(16).padStart(size * size / 4, '0');
+}
+
+function hammingDistance(a, b){
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff) { count += Number(diff & 1n); diff >>= 1n; }
+  return count;
+}
+
+/* raw — хэши через запятую/пробел или путь к файлу (по хэшу в строке, # — комментарий).
+   Возвращает Set хэшей */
+function parsePlaceholderHashes(raw = ''){
+  const value = String(raw).trim();
+  if (!value) return new Set();
+  const text = !/^[0-9a-f]{16}([\s,]|$)/i.test(value) ? fs.readFileSync(value, 'utf8') : value;
+  const hashes = new Set();
+  for (const token of text.split(/\r?\n/).map(line => line.replace(/#.*/, '')).join(' ').split(/[\s,]+/).filter(Boolean)) {
+    const hash = token.toLowerCase();
+    if (!HASH_RE.test(hash)) throw new Error(`Invalid placeholder hash "${token}": expected 16 hex digits`);
+    hashes.add(hash);
+  }
+  return hashes;
+}
+
+// средний цвет sRGB в каждой четверти кадра (2×2) — 12 байт в hex
+async function colourSignature(buffer){
+  const pixels = await sharp(buffer).flatten({ background: '#ffffff' }).toColourspace('srgb')
+    .resize(2, 2, { fit: 'fill' }).removeAlpha().raw().toBuffer();
+  return pixels.toString('hex');
+}
+
+// наибольшая разница по одному каналу между подписями цвета
+function colourDistance(a, b){
+  const x = Buffer.from(a, 'hex');
+  const y = Buffer.from(b, 'hex');
+  if (x.length !== y.length) return Infinity;
+  return Math.max(0, ...x.map((v, i) => Math.abs(v - y[i])));
+}
+
+// { width, height, space, hash, fingerprint, stdev } исходной картинки
+async function inspectImage(buffer){
+  const image = sharp(buffer);
+  const { width = 0, height = 0, space = '', hasAlpha = false } = await image.metadata();
+  const { channels } = await image.stats();
+  // разброс яркости по самому «живому» каналу без альфы; у однотонной картинки около нуля
+  const colour = hasAlpha ? channels.slice(0, -1) : channels;
+  // у картинки из одного пикселя libvips отдаёт NaN
+  const stdev = Math.max(...colour.map(c => c.stdev || 0));
+  const aspect = height ? (width / height).toFixed(2) : '0';
+  const fingerprint = `${await perceptualHash(buffer, 16)}:${aspect}:${await colourSignature(buffer)}`;
+  return { width, height, space, hash: await perceptualHash(buffer), fingerprint, stdev };
+}
+
+/* Индекс визуальных дублей: get(fingerprint) — запись с теми же пропорциями, хэшем
+   не дальше maxDistance бит и цветом не дальше maxColourDistance по каналу. Отпечатки
+   без цвета (из манифестов до его появления) не совпадают ни с чем. Хэш режется на 8 полос по 32 бита: при расстоянии до 7 бит
+   хотя бы одна полоса совпадает точно, так что сравниваются только кандидаты из этих полос */
+function createVisualIndex({ maxDistance = 4, maxColourDistance = 16 } = {}){
+  const BANDS = 8;
+  const bands = new Map();
+  const split = fingerprint => {
+    const [hash, aspect, colour = ''] = fingerprint.split(':');
+    const width = hash.length / BANDS;
+    return { hash, colour, keys: Array.from({ length: BANDS }, (_, i) => `${aspect}:${i}:${hash.slice(i * width, (i + 1) * width)}`) };
+  };
+  return {
+    get(fingerprint){
+      const { hash, colour, keys } = split(fingerprint);
+      if (!colour) return undefined;
+      for (const key of keys) {
+        for (const candidate of bands.get(key) || []) {
+          if (hammingDistance(hash, candidate.hash) > maxDistance) continue;
+          if (colourDistance(colour, candidate.colour) <= maxColourDistance) return candidate.value;
+        }
+      }
+      return undefined;
+    },
+    set(fingerprint, value){
+      const { hash, colour, keys } = split(fingerprint);
+      if (!colour) return;
+      for (const key of keys) {
+        if (!bands.has(key)) bands.set(key, []);
+        bands.get(key).push({ hash, colour, value });
+      }
+    },
+  };
+}
+
+/* Причины отказа: TOO_SMALL, BLANK, PLACEHOLDER; пустой массив — картинка годится.
+   CMYK отказом не считается: при перекодировании он переводится в sRGB */
+function checkImage(info, { minSize = 250, placeholders = new Set(), maxDistance = 6, blankStdev = 3 } = {}){
+  const reasons = [];
+  if (info.width < minSize || info.height < minSize) reasons.push('TOO_SMALL');
+  if (info.stdev < blankStdev) reasons.push('BLANK');
+  for (const hash of placeholders) {
+    if (hammingDistance(info.hash, hash) <= maxDistance) { reasons.push('PLACEHOLDER'); break; }
+  }
+  return reasons;
+}
+
+module.exports = { perceptualHash, hammingDistance, parsePlaceholderHashes, inspectImage, checkImage, createVisualIndex };
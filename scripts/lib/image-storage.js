@@ -0,0 +1,164 @@
+/* scripts/lib/image-storage.js
+   Хранилище картинок для sync-images-to-r2.js: storage = { name, publicBase, head(key), put(key, body, meta),
+   get(key), list(prefix), delete(keys) }. get отдаёт Buffer или null, list — async-итератор
+   { key, size, lastModified } по ключам с префиксом (для сборки мусора).
+   IMAGE_STORAGE выбирает реализацию:
+     r2    — Cloudflare R2 (CF_ACCOUNT_ID, CF_R2_ACCESS_KEY_ID, CF_R2_SECRET_ACCESS_KEY, R2_BUCKET), по умолчанию;
+     s3    — любой S3-совместимый сервис, в т.ч. MinIO (S3_BUCKET, S3_ENDPOINT, S3_REGION,
+             S3_FORCE_PATH_STYLE=1, S3_ACCESS_KEY_ID / S3_SECRET_ACCESS_KEY — иначе стандартная цепочка AWS);
+     local — каталог на диске (IMAGE_STORAGE_DIR, по умолчанию public/), например для gh-pages.
+   Адрес, по которому картинки видны снаружи: IMAGE_PUBLIC_BASE (для r2 — и R2_PUBLIC_BASE).
+*/
+
+const fs = require('fs');
+const path = require('path');
+const {
+  S3Client, HeadObjectCommand, PutObjectCommand, GetObjectCommand, ListObjectsV2Command, DeleteObjectsCommand,
+} = require('@aws-sdk/client-s3');
+
+const STORAGE_TYPES = ['r2', 's3', 'local'];
+// DeleteObjects принимает не больше 1000 ключей за запрос
+const DELETE_BATCH = 1000;
+
+function required(env, name){
+  if (!env[name]) throw new Error(`Missing required environment variable: ${name}`);
+  return env[name];
+}
+
+// meta — { contentType, cacheControl }
+function createS3Storage({ name, client, bucket, publicBase }){
+  return {
+    name,
+    publicBase,
+    async head(key){
+      try {
+        await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        return true;
+      } catch (err) {
+        if (err.$metadata?.httpStatusCode === 404 || err.name === 'NotFound') return false;
+        throw err;
+      }
+    },
+    async put(key, body, { contentType, cacheControl } = {}){
+      await client.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: body, ContentType: contentType, CacheControl: cacheControl }));
+    },
+    async get(key){
+      try {
+        const { Body } = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+        return Buffer.from(await Body.transformToByteArray());
+      } catch (err) {
+        if (err.$metadata?.httpStatusCode === 404 || err.name === 'NoSuchKey') return null;
+        throw err;
+      }
+    },
+    async *list(prefix){
+      let token;
+      do {
+        const page = await client.send(new ListObjectsV2Command({ Bucket: bucket, Prefix: prefix, ContinuationToken: token }));
+        for (const item of page.Contents || []) yield { key: item.Key, size: item.Size, lastModified: new Date(item.LastModified) };
+        token = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (token);
+    },
+    async delete(keys){
+      for (let i = 0; i < keys.length; i += DELETE_BATCH) {
+        const batch = keys.slice(i, i + DELETE_BATCH);
+        const { Errors = [] } = await client.send(new DeleteObjectsCommand({
+          Bucket: bucket,
+          Delete: { Objects: batch.map(Key => ({ Key })), Quiet: true },
+        }));
+        if (Errors.length) throw new Error(`Delete failed for ${Errors.length} objects, e.g. ${Errors[0].Key}: ${Errors[0].Message}`);
+      }
+    },
+  };
+}
+
+function createLocalStorage({ dir, publicBase }){
+  const root = path.resolve(dir);
+  // ключ не должен выводить за пределы каталога
+  const fileOf = key => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(root + path.sep)) throw new Error(`Storage key escapes ${root}: ${key}`);
+    return file;
+  };
+  return {
+    name: `local directory ${dir}`,
+    publicBase,
+    async head(key){
+      try { return (await fs.promises.stat(fileOf(key))).isFile(); }
+      catch (err) { if (err.code === 'ENOENT') return false; throw err; }
+    },
+    async put(key, body){
+      const file = fileOf(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      // через временный файл: прерванная запись не оставит обрезанную картинку под готовым ключом
+      const temp = `${file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(temp, body);
+      await fs.promises.rename(temp, file);
+    },
+    async get(key){
+      try { return await fs.promises.readFile(fileOf(key)); }
+      catch (err) { if (err.code === 'ENOENT') return null; throw err; }
+    },
+    async *list(prefix){
+      // prefix — начало ключа, не обязательно каталог: обходим ближайший к нему каталог
+      const start = path.resolve(root, prefix.slice(0, prefix.lastIndexOf('/') + 1) || '.');
+      if (start !== root && !start.startsWith(root + path.sep)) throw new Error(`Storage key escapes ${root}: ${prefix}`);
+      async function* walk(dir){
+        let entries;
+        try { entries = await fs.promises.readdir(dir, { withFileTypes: true }); }
+        catch (err) { if (err.code === 'ENOENT') return; throw err; }
+        for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+          const file = path.join(dir, entry.name);
+          if (entry.isDirectory()) { yield* walk(file); continue; }
+          const key = path.relative(root, file).split(path.sep).join('/');
+          if (!entry.isFile() || !key.startsWith(prefix) || key.endsWith('.tmp')) continue;
+          const stat = await fs.promises.stat(file);
+          yield { key, size: stat.size, lastModified: stat.mtime };
+        }
+      }
+      yield* walk(start);
+    },
+    async delete(keys){
+      for (const key of keys) {
+        try { await fs.promises.unlink(fileOf(key)); }
+        catch (err) { if (err.code !== 'ENOENT') throw err; }
+      }
+    },
+  };
+}
+
+function storageFromEnv(env = process.env){
+  const type = (env.IMAGE_STORAGE || 'r2').toLowerCase();
+  if (!STORAGE_TYPES.includes(type)) throw new Error(`Invalid IMAGE_STORAGE "${type}": expected ${STORAGE_TYPES.join(', ')}`);
+  const base = name => required(env, name).replace(/\/+$/, '');
+
+  if (type === 'local') {
+    return createLocalStorage({ dir: env.IMAGE_STORAGE_DIR || 'public', publicBase: base('IMAGE_PUBLIC_BASE') });
+  }
+  if (type === 's3') {
+    const credentials = env.S3_ACCESS_KEY_ID
+      ? { accessKeyId: env.S3_ACCESS_KEY_ID, secretAccessKey: required(env, 'S3_SECRET_ACCESS_KEY') }
+      : undefined;
+    const client = new S3Client({
+      region: env.S3_REGION || 'us-east-1',
+      endpoint: env.S3_ENDPOINT || undefined,
+      forcePathStyle: env.S3_FORCE_PATH_STYLE === '1',
+      credentials,
+    });
+    return createS3Storage({ name: `S3 bucket ${required(env, 'S3_BUCKET')}`, client, bucket: env.S3_BUCKET, publicBase: base('IMAGE_PUBLIC_BASE') });
+  }
+
+  const accountId = required(env, 'CF_ACCOUNT_ID');
+  const client = new S3Client({
+    region: 'auto',
+    endpoint: `https://${accountId}.r2.cloudflarestorage.com`,
+    credentials: {
+      accessKeyId: required(env, 'CF_R2_ACCESS_KEY_ID'),
+      secretAccessKey: required(env, 'CF_R2_SECRET_ACCESS_KEY'),
+    },
+  });
+  const publicBase = env.IMAGE_PUBLIC_BASE ? base('IMAGE_PUBLIC_BASE') : base('R2_PUBLIC_BASE');
+  return createS3Storage({ name: 'R2', client, bucket: required(env, 'R2_BUCKET'), publicBase });
+}
+
+module.exports = { STORAGE_TYPES, storageFromEnv, createS3Storage, createLocalStorage };
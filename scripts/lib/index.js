@@ -0,0 +1,14 @@
+/* scripts/lib/index.js
+   Публичный API для других Node-сервисов:
+
+     const { convert } = require('google-yandex');
+     const { yml, offers, report } = await convert(xml, { shop: { name: 'Shop', url: 'https://…' } });
+
+   convertToStream(input, out, options) — то же для больших фидов, с записью в поток.
+*/
+
+const { convert, convertToStream } = require('./converter');
+const { DEFAULTS, resolveOptions, optionsFromEnv } = require('./options');
+const mapping = require('./mapping');
+
+module.exports = { convert, convertToStream, DEFAULTS, resolveOptions, optionsFromEnv, mapping };
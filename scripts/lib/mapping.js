@@ -0,0 +1,518 @@
+/* scripts/lib/mapping.js
+   Запись Google-фида -> модель оффера: текст, цены, картинки, категория, параметры,
+   доставка, вес и габариты. Настройки приходят параметром (см. options.js),
+   окружение и файлы здесь не читаются.
+*/
+
+const { synthesizeOfferId } = require('./offer-ids');
+const { normCurrencyCode } = require('./currencies');
+const { buildShippingOptions, pickupFromSla } = require('./delivery');
+const { toKg, toCm, formatNumber } = require('./units');
+const { parseEffectiveDate, saleState } = require('./sales');
+const { normalizeParam } = require('./params');
+const { sanitizeHtml, hasMarkup } = require('./html');
+const { summarizeLocalInventory } = require('./feed-merge');
+
+const trim1 = s => String(s || '').trim();
+const one = v => Array.isArray(v) ? v[0] : v;
+// <title type="text">…</title> в Atom приходит объектом { _, type }
+const textOf = v => { const x = one(v); return x && typeof x === 'object' ? (x._ || '') : x; };
+const originOf = url => { try { return new URL(url).origin; } catch { return ''; } };
+const escapeRegex = str => String(str).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const HTML_ENTITIES = { amp:'&', lt:'<', gt:'>', quot:'"', apos:"'", nbsp:' ' };
+
+const CP1252_EXT = new Map([
+  [0x20ac,0x80],[0x201a,0x82],[0x0192,0x83],[0x201e,0x84],
+  [0x2026,0x85],[0x2020,0x86],[0x2021,0x87],[0x02c6,0x88],
+  [0x2030,0x89],[0x0160,0x8a],[0x2039,0x8b],[0x0152,0x8c],
+  [0x017d,0x8e],[0x2018,0x91],[0x2019,0x92],[0x201c,0x93],
+  [0x201d,0x94],[0x2022,0x95],[0x2013,0x96],[0x2014,0x97],
+  [0x02dc,0x98],[0x2122,0x99],[0x0161,0x9a],[0x203a,0x9b],
+  [0x0153,0x9c],[0x017e,0x9e],[0x0178,0x9f],
+]);
+
+function decodeBrokenUtf8(str='') {
+  if (!/[ÐÑ]/.test(str)) return str;
+  const bytes = [];
+  for (const ch of str) {
+    const code = ch.codePointAt(0);
+    if (code <= 0xff) { bytes.push(code); continue; }
+    const mapped = CP1252_EXT.get(code);
+    if (mapped == null) return str;
+    bytes.push(mapped);
+  }
+  try {
+    const decoded = Buffer.from(bytes).toString('utf8');
+    return /[А-Яа-яЁё]/.test(decoded) && !decoded.includes('\uFFFD') ? decoded : str;
+  } catch { return str; }
+}
+
+// только текст для покупателя: id, ссылки и коды перекодировка могла бы испортить
+const MOJIBAKE_FIELDS = new Set([
+  'title', 'description', 'summary', 'content', 'brand', 'product_type', 'sales_notes',
+  'product_detail', 'product_details', 'product_highlight', 'param', 'parameter',
+  'color', 'material', 'size', 'pattern', 'gender', 'age_group',
+  'custom_label_0', 'custom_label_1', 'custom_label_2', 'custom_label_3', 'custom_label_4',
+]);
+
+// текстовые поля записи, включая вложенные (param, product_detail); запись не меняется.
+// Возвращает { entry, fields }: исправленную копию и имена исправленных полей верхнего уровня
+function repairMojibake(entry){
+  const repaired = new Set();
+  const walk = (value, field) => {
+    if (typeof value === 'string') {
+      const fixed = decodeBrokenUtf8(value);
+      if (fixed !== value) repaired.add(field);
+      return fixed;
+    }
+    if (Array.isArray(value)) return value.map(v => walk(v, field));
+    if (value && typeof value === 'object') return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, walk(v, field)]));
+    return value;
+  };
+  const fixed = Object.fromEntries(Object.entries(entry).map(([key, value]) => [key, MOJIBAKE_FIELDS.has(key) ? walk(value, key) : value]));
+  return { entry: fixed, fields: Array.from(repaired) };
+}
+
+function decodeHtml(str='') {
+  return String(str).replace(/&(#x?[0-9a-f]+|\w+);/gi, (m, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase()==='x'
+        ? parseInt(entity.slice(2),16)
+        : parseInt(entity.slice(1),10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : m;
+    }
+    const key = entity.toLowerCase();
+    return Object.prototype.hasOwnProperty.call(HTML_ENTITIES, key) ? HTML_ENTITIES[key] : m;
+  });
+}
+
+const stripHtml = (s='') => String(s||'').replace(/<\/?[^>]+>/g,' ');
+const collapseWs = (s='') => String(s||'').replace(/\s+/g,' ').trim();
+const cleanText = (s='') => collapseWs(decodeHtml(s));
+
+const DESCRIPTION_MAX = 3000;
+
+// { text, html }: html=true — размеченный фрагмент для CDATA, иначе простой текст
+function normalizeDescription(raw='', log, mode = 'html') {
+  if (mode === 'html') {
+    const { html, truncated } = sanitizeHtml(decodeHtml(raw), { maxLength: DESCRIPTION_MAX });
+    if (hasMarkup(html)) {
+      if (truncated) log?.modify('DESCRIPTION_TRUNCATED', `HTML description cut to ${html.length} of ${DESCRIPTION_MAX} chars`);
+      return { text: html, html: true };
+    }
+  }
+  return { text: plainDescription(raw, log), html: false };
+}
+
+function plainDescription(raw='', log) {
+  const text = collapseWs(stripHtml(decodeHtml(raw)));
+  if (!text) return '';
+  const max = DESCRIPTION_MAX;
+  if (text.length <= max) return text;
+  log?.modify('DESCRIPTION_TRUNCATED', `description cut from ${text.length} to ${max} chars`);
+  const truncated = text.slice(0, max-1).replace(/\s+\S*$/, '').trim();
+  return truncated ? `${truncated}…` : text.slice(0, max-1);
+}
+
+// base — валюта для цен без кода; код, которого нет у Маркета, возвращается как есть (в верхнем регистре)
+function parsePriceToken(raw='', base = 'KZT') {
+  const m = String(raw).trim().match(/^([\d\s.,]+)\s*([A-Za-z]{3})?$/);
+  if (!m) return { amount:'', currency:base };
+  const amount = m[1].replace(/\s/g,'').replace(',','.');
+  const code = m[2] ? m[2].toUpperCase() : base;
+  return { amount, currency: normCurrencyCode(code) || code };
+}
+
+function asArray(x){ return Array.isArray(x) ? x : (x ? [x] : []); }
+
+function ensureAbsolute(url, base){
+  if (!base) return '';
+  try { return new URL(url, base).toString(); } catch { return ''; }
+}
+
+// временная нормализация ссылок (для чернового фида), Samsung Scene7 допускаем макрос
+function normalizePictureUrl(u=''){
+  if (!u) return '';
+  try {
+    const parsed = new URL(u);
+    const hasExt = /\.(jpe?g|png|webp|gif)(\?|$)/i.test(parsed.pathname);
+    const looksSamsung = /images\.samsung\.com$/i.test(parsed.hostname) || /\/is\/image\//i.test(parsed.pathname);
+    if (!hasExt && !parsed.search && looksSamsung) parsed.search='?$ORIGIN_PNG$';
+    return parsed.toString();
+  } catch { return u; }
+}
+
+// bases — адреса для относительных ссылок по порядку (BASE_IMAGE_ORIGIN, адрес магазина)
+function fullImageUrl(s, bases = []){
+  const u = trim1(s);
+  if (!u) return '';
+  if (/^https?:\/\//i.test(u)) { try { return new URL(u).toString(); } catch { return ''; } }
+  if (u.startsWith('//')) { try { return new URL(`https:${u}`).toString(); } catch { return ''; } }
+  // ссылка со своей схемой (javascript:, data:, ftp:) от базы не зависит — и картинкой быть не может
+  for (const base of bases) { const url = ensureAbsolute(u, base); if (url) return /^https?:/i.test(url) ? url : ''; }
+  return '';
+}
+
+// Atom: <link href="…" rel="alternate"/>, RSS 2.0 и g:link: <link>…</link>
+function pickLink(entry){
+  let fallback = '';
+  for (const link of asArray(entry.link)) {
+    if (typeof link === 'string') { if (trim1(link)) return trim1(link); continue; }
+    const href = trim1(link?.href || link?._);
+    if (!href) continue;
+    if (!link.rel || link.rel === 'alternate') return href;
+    if (!fallback) fallback = href;
+  }
+  return fallback;
+}
+
+// product_type магазина главнее; без него — категория Маркета по таблице соответствия, затем путь Google
+const DEFAULT_CATEGORY = 'Default';
+
+function pickCategory(entry, google){
+  const own = cleanText(one(entry.product_type) || '');
+  return own || google.mapped?.category || google.path || DEFAULT_CATEGORY;
+}
+
+function extractSegments(raw=''){
+  const value = cleanText(raw); if (!value) return [];
+  return value.split(/>\s*/).map(part => cleanText(part)).filter(Boolean);
+}
+
+function deriveTypePrefix(entry, category, googlePath){
+  const GENERIC = new Set(['products','каталог']);
+  const candidates = [ one(entry.type || entry.product_type), googlePath, category ];
+  for (const candidate of candidates) {
+    const segments = extractSegments(candidate);
+    for (let i = segments.length-1; i>=0; i--){
+      const segment = segments[i];
+      if (!segment) continue;
+      if (GENERIC.has(segment.toLowerCase())) continue;
+      return segment;
+    }
+  }
+  return '';
+}
+
+function deriveModel(name, brand){
+  const n = cleanText(name); if (!n) return '';
+  const b = cleanText(brand); if (!b) return n;
+  const pattern = new RegExp(`^${escapeRegex(b)}\\s*[—:-]?\\s*`, 'i');
+  const stripped = n.replace(pattern,'').trim();
+  return stripped || n;
+}
+
+function mapAvailability(av){
+  const x = trim1(av).toLowerCase();
+  if (x==='in_stock' || x==='preorder' || x==='available for order') return 'true';
+  if (x==='out_of_stock' || x==='sold_out') return 'false';
+  return 'true';
+}
+
+function mapCondition(cnd){
+  const x = trim1(cnd).toLowerCase();
+  if (!x || x==='new' || x==='brand new') return null;
+  if (x==='used' || x==='second hand' || x==='б/у')         return { type:'used',        quality:'good' };
+  if (x==='like new' || x==='as new' || x==='open box')     return { type:'likenew',     quality:'excellent' };
+  if (x==='refurbished' || x==='renewed' || x==='preowned') return { type:'preowned',    quality:'refurbished' };
+  if (x==='showcase' || x==='demo' || x==='display')        return { type:'showcasesample', quality:'good' };
+  if (x==='reduction' || x==='discounted')                  return { type:'reduction',   quality:'good' };
+  return null;
+}
+
+const PARAM_FIELDS = [
+  { key:'color',label:'Цвет' },{ key:'material',label:'Материал' },{ key:'size',label:'Размер' },
+  { key:'size_type',label:'Тип размера' },{ key:'size_system',label:'Размерная сетка' },{ key:'pattern',label:'Принт' },
+  { key:'gender',label:'Пол' },{ key:'age_group',label:'Возраст' },{ key:'capacity',label:'Объем' },
+  { key:'power',label:'Мощность' },{ key:'voltage',label:'Напряжение' },{ key:'width',label:'Ширина' },
+  { key:'height',label:'Высота' },{ key:'depth',label:'Глубина' },
+];
+for (let i=0;i<=4;i++) PARAM_FIELDS.push({ key:`custom_label_${i}`, label:`Метка ${i}` });
+// атрибуты, которыми различаются варианты одной группы (item_group_id)
+const VARIANT_KEYS = ['color', 'size', 'capacity', 'material', 'pattern'];
+const VARIANT_LABELS = PARAM_FIELDS.filter(f => VARIANT_KEYS.includes(f.key)).map(f => f.label);
+
+function dedupeParams(list){
+  const seen = new Set();
+  return list.filter(({name,value,unit}) => {
+    const k = `${name}:::${value}:::${unit || ''}`;
+    if (seen.has(k)) return false;
+    seen.add(k); return true;
+  });
+}
+
+function resolveParams(entry, unitDefaults = new Map()){
+  const params = [];
+  const sizeSystem = cleanText(one(entry.size_system));
+  const normalize = (param, key) => normalizeParam(param, { key, sizeSystem, unitDefaults });
+  for (const {key,label} of PARAM_FIELDS) {
+    const value = cleanText(one(entry[key]));
+    const name = cleanText(label || key);
+    if (value) params.push(normalize({ name, value }, key));
+  }
+  const details = asArray(entry.product_detail || entry.product_details);
+  for (const d of details) {
+    const name = cleanText(one(d?.attribute_name) || one(d?.name) || one(d?.title));
+    const value = cleanText(one(d?.attribute_value) || one(d?.value) || one(d?.description));
+    if (name && value) params.push(normalize({ name, value }));
+  }
+  const explicitParams = asArray(entry.param || entry.parameter);
+  for (const p of explicitParams) {
+    const name = cleanText(p?.name || p?.$?.name || one(p?.name));
+    const value = cleanText(p?.value || one(p?.value) || p?._);
+    const unit = cleanText(p?.unit || p?.$?.unit);
+    // у явных <param unit="…"> единица уже отделена
+    if (name && value) params.push(unit ? { name, value, unit } : normalize({ name, value }));
+  }
+  return dedupeParams(params);
+}
+
+function collectPictures(entry, log, bases = []){
+  const pool = [
+    ...asArray(entry.image_link),
+    ...asArray(entry['image link']),
+    ...asArray(entry.additional_image_link),
+    ...asArray(entry['additional_image_link']),
+    ...asArray(entry.image_links),
+  ];
+  const urls = pool
+    .flatMap(item => {
+      if (!item) return [];
+      if (Array.isArray(item)) return item;
+      const parts = String(item).split(/[\s\n\r]+/);
+      return parts.filter(Boolean);
+    })
+    .map(cleanText)
+    .map(raw => {
+      const url = fullImageUrl(raw, bases);
+      if (!url && raw) log?.modify('PICTURE_DISCARDED', `invalid picture URL discarded: ${raw}`);
+      return url;
+    })
+    .filter(Boolean)
+    .map(normalizePictureUrl)
+    .filter(Boolean);
+
+  const seen = new Set();
+  return urls.filter(u => { if (seen.has(u)) return false; seen.add(u); return true; });
+}
+
+// g:shipping: вложенные элементы либо текстовый формат "страна:регион:сервис:цена"
+function readShipping(s, e, base){
+  if (typeof s === 'string') {
+    const [country = '', region = '', service = '', price = ''] = s.split(':').map(cleanText);
+    return { country, region, service, cost: parsePriceToken(price, base).amount };
+  }
+  const days = v => { const n = parseInt(cleanText(one(v)), 10); return Number.isFinite(n) && n >= 0 ? n : null; };
+  return {
+    country: cleanText(one(s?.country)),
+    region:  cleanText(one(s?.region) || one(s?.postal_code) || one(s?.location_id) || one(s?.location_group_name)),
+    service: cleanText(one(s?.service)),
+    cost:    parsePriceToken(one(s?.price) || '', base).amount,
+    minHandling: days(s?.min_handling_time) ?? days(e.min_handling_time),
+    maxHandling: days(s?.max_handling_time) ?? days(e.max_handling_time),
+    minTransit:  days(s?.min_transit_time),
+    maxTransit:  days(s?.max_transit_time),
+  };
+}
+
+// Пределы, вне которых вес и габариты считаем ошибкой данных и не выгружаем
+const WEIGHT_RANGE_KG = [0.001, 1500];
+const DIMENSION_RANGE_CM = [0.1, 1000];
+const SALES_NOTES_MAX = 50;
+
+// <weight> в кг: вес отправления, затем вес товара, затем unit_pricing_measure, если он в единицах веса
+function readWeight(e, log){
+  for (const key of ['shipping_weight', 'product_weight', 'unit_pricing_measure']) {
+    const raw = cleanText(one(e[key]));
+    if (!raw) continue;
+    const kg = toKg(raw);
+    if (kg == null) {
+      if (key !== 'unit_pricing_measure') log.modify('WEIGHT_INVALID', `${key} "${raw}" is not a weight, ignored`);
+      continue;
+    }
+    const [min, max] = WEIGHT_RANGE_KG;
+    if (kg < min || kg > max) {
+      log.modify('WEIGHT_OUT_OF_RANGE', `${key} "${raw}" is outside ${min}–${max} kg, <weight> omitted`);
+      return '';
+    }
+    if (key === 'unit_pricing_measure') log.modify('WEIGHT_FROM_UNIT_PRICING', `no shipping/product weight, <weight> taken from unit_pricing_measure "${raw}"`);
+    return formatNumber(kg);
+  }
+  return '';
+}
+
+// <dimensions> "Д/Ш/В" в см: габариты отправления, затем габариты товара; нужны все три
+function readDimensions(e, log){
+  for (const prefix of ['shipping', 'product']) {
+    const raw = ['length', 'width', 'height'].map(side => cleanText(one(e[`${prefix}_${side}`])));
+    if (!raw.some(Boolean)) continue;
+    const label = `${prefix}_length/width/height "${raw.join('/')}"`;
+    if (!raw.every(Boolean)) { log.modify('DIMENSIONS_INCOMPLETE', `${label}: all three are required`); continue; }
+    const cm = raw.map(v => toCm(v));
+    if (cm.some(v => v == null)) { log.modify('DIMENSIONS_INVALID', `${label}: unknown length unit`); continue; }
+    const [min, max] = DIMENSION_RANGE_CM;
+    if (cm.some(v => v < min || v > max)) {
+      log.modify('DIMENSIONS_OUT_OF_RANGE', `${label} is outside ${min}–${max} cm, <dimensions> omitted`);
+      return '';
+    }
+    return cm.map(formatNumber).join('/');
+  }
+  return '';
+}
+
+// yes/no, true/false, да/нет; любое другое непустое значение ("1 год") — считаем «да»
+function parseFlag(raw){
+  const x = cleanText(raw).toLowerCase();
+  if (!x) return '';
+  return /^(no|false|0|нет)$/.test(x) ? 'false' : 'true';
+}
+
+// defaults — значения магазина, если в записи их нет
+function readSalesTerms(e, log, { salesNotes: defaultNotes = '', manufacturerWarranty = '' } = {}){
+  let salesNotes = cleanText(one(e.sales_notes)) || defaultNotes;
+  if (salesNotes.length > SALES_NOTES_MAX) {
+    log.modify('SALES_NOTES_TRUNCATED', `sales_notes is ${salesNotes.length} chars, cut to ${SALES_NOTES_MAX}`);
+    salesNotes = salesNotes.slice(0, SALES_NOTES_MAX).trim();
+  }
+  let minQuantity = '';
+  const rawMin = cleanText(one(e.min_quantity));
+  if (rawMin) {
+    if (/^\d+$/.test(rawMin) && Number(rawMin) >= 1) minQuantity = String(Number(rawMin));
+    else log.modify('MIN_QUANTITY_INVALID', `min_quantity "${rawMin}" is not a positive integer, ignored`);
+  }
+  return {
+    salesNotes,
+    minQuantity: minQuantity === '1' ? '' : minQuantity,
+    warranty: parseFlag(one(e.manufacturer_warranty)) || parseFlag(manufacturerWarranty),
+    adult: parseFlag(one(e.adult)) === 'true',
+  };
+}
+
+/* log — журнал записи из build-report: drop(code, msg) / modify(code, msg),
+   options — результат resolveOptions(). null — запись выброшена (причина в log) */
+function mapEntry(e, log, options){
+  const {
+    offerIdSources, currencyBase, descriptionMode, taxonomy, timezone, buildTime, emitPromos,
+    country, deliveryDefaults, pickupDefaults, outletIds, paramUnits,
+  } = options;
+  const imageBases = [options.baseImageOrigin, options.shop.url, originOf(options.shop.url)];
+  const rawId = cleanText(one(e.gid) || one(e.id));
+  const name = cleanText(textOf(e.title));
+  const url  = pickLink(e);
+  Object.assign(log.ref, { id: rawId, name, url });
+  const descriptionSource = textOf(e.description) || textOf(e.summary) || textOf(e.content);
+  const { text: description, html: descriptionHtml } = normalizeDescription(descriptionSource, log, descriptionMode);
+  const pictures = collectPictures(e, log, imageBases);
+  const brand = cleanText(one(e.brand));
+  const mpn   = cleanText(one(e.mpn));
+  const gtin  = cleanText(one(e.gtin));
+  const id   = rawId || synthesizeOfferId({ link:url, gtin, mpn, title:name }, offerIdSources);
+  if (!id) {
+    log.drop('NO_ID', `no g:id and none of ${offerIdSources.join('/')} to derive one from`);
+    return null;
+  }
+  log.ref.id = id;
+  if (!rawId) log.modify('ID_SYNTHESIZED', `no g:id, id derived from ${offerIdSources.join('/')}`);
+  const skuRaw = cleanText(one(e.sku));
+  const availability = mapAvailability(one(e.availability));
+  const condition    = mapCondition(one(e.condition));
+
+  const pricePrimary = parsePriceToken(one(e.price || ''), currencyBase);
+  const sale = parsePriceToken(one(e.sale_price || ''), currencyBase);
+  let price = pricePrimary.amount;
+  let currencyId = pricePrimary.currency;
+  let oldprice = '';
+  let saleWindow = null;
+  let saleStatus = sale.amount ? 'active' : 'none';
+  if (sale.amount) {
+    try {
+      saleWindow = parseEffectiveDate(one(e.sale_price_effective_date), timezone);
+      saleStatus = saleState(saleWindow, buildTime);
+    } catch (err) {
+      // без понятного интервала распродажа могла бы висеть бессрочно — берём обычную цену
+      log.modify('SALE_WINDOW_INVALID', err.message);
+      saleStatus = 'invalid';
+    }
+  }
+  if (saleStatus === 'active') { oldprice = pricePrimary.amount || ''; price = sale.amount; currencyId = sale.currency || currencyId; }
+  else if (saleStatus !== 'none') log.modify('SALE_NOT_APPLIED', `sale_price ${sale.amount} is ${saleStatus}, regular price used`);
+
+  const googleCategory = cleanText(one(e.google_product_category) || '');
+  const google = taxonomy.resolve(googleCategory);
+  if (google.unresolved) {
+    const hint = taxonomy.size ? '' : ' (no GOOGLE_TAXONOMY_FILE loaded)';
+    log.modify('CATEGORY_ID_UNRESOLVED', `google_product_category ${googleCategory} is not in the Google taxonomy${hint}`);
+  }
+  const category = pickCategory(e, google);
+  const shipping = buildShippingOptions(asArray(e.shipping).map(s => readShipping(s, e, currencyBase)), {
+    country, defaults: deliveryDefaults, pickupDefaults,
+  });
+  const local = e.local_inventory ? summarizeLocalInventory(e.local_inventory, outletIds) : null;
+  const slaPickup = pickupFromSla(one(e.pickup_method) || local?.pickupMethod, one(e.pickup_sla) || local?.pickupSla);
+  if (slaPickup && !shipping.pickup.length) shipping.pickup.push(slaPickup);
+  const weight = readWeight(e, log);
+  const dimensions = readDimensions(e, log);
+  const { salesNotes, minQuantity, warranty, adult } = readSalesTerms(e, log, options);
+
+  const itemGroupId = cleanText(one(e.item_group_id));
+  const params = resolveParams(e, paramUnits);
+  const shopSku = skuRaw || (itemGroupId ? `${itemGroupId}-${id}` : id);
+  // категория-заглушка ничего не говорит о товаре — typePrefix тогда лучше пустой
+  const typePrefix = google.mapped?.typePrefix || deriveTypePrefix(e, category === DEFAULT_CATEGORY ? '' : category, google.path);
+  const model = deriveModel(name, brand);
+  const offerType = brand && model ? 'vendor.model' : '';
+  // копия до правил: если правило уберёт параметр, на втором проходе его можно вернуть
+  const variant = itemGroupId
+    ? VARIANT_LABELS.map(label => params.find(p => p.name === label)).filter(Boolean).map(p => ({ ...p }))
+    : [];
+
+  let offer = {
+    id, name, description, url, pictures, brand, mpn, gtin,
+    availability, condition, price, oldprice, currencyId, category,
+    delivery: shipping.delivery, pickup: shipping.pickup, weight, dimensions,
+    salesNotes, minQuantity, warranty, adult,
+    itemGroupId, params, shopSku, typePrefix, model, offerType
+  };
+
+  const priceNum = Number(price);
+  if (!price || Number.isNaN(priceNum) || priceNum <= 0) {
+    const fallback = Number(oldprice);
+    if (fallback > 0) {
+      log.modify('PRICE_FROM_OLDPRICE', `price "${price}" unusable, regular price ${oldprice} used instead`);
+      offer.price = String(oldprice); offer.oldprice = '';
+    } else {
+      log.drop('NO_PRICE', `no usable price (price "${one(e.price) || ''}", sale_price "${one(e.sale_price) || ''}")`);
+      return null;
+    }
+  }
+  // цену в чужой валюте нельзя выдать за базовую: такой оффер не выгружаем
+  if (!normCurrencyCode(offer.currencyId)) {
+    log.drop('CURRENCY_UNSUPPORTED', `price currency ${offer.currencyId} is not supported by Yandex Market`);
+    return null;
+  }
+  if (!offer.pictures.length) delete offer.pictures;
+  if (variant.length) offer.variant = variant;
+  if (descriptionHtml) offer.descriptionHtml = true;
+  if (!rawId) offer.idSynthesized = true;
+  if (local) {
+    if (local.count != null) offer.count = local.count;
+    if (local.outlets.length) offer.outlets = local.outlets;
+    if (Object.keys(local.stock).length) offer.storeStock = local.stock;
+    offer.store = local.store;
+  }
+  // для <promos> нужны оба конца интервала; прошедшие распродажи не выгружаем
+  if (emitPromos && saleWindow?.end && saleStatus !== 'expired') {
+    offer.sale = { start: saleWindow.start || buildTime, end: saleWindow.end, amount: sale.amount, currency: sale.currency };
+  }
+
+  return offer;
+}
+
+module.exports = {
+  one, textOf, decodeHtml, cleanText, decodeBrokenUtf8, repairMojibake,
+  normalizeDescription, plainDescription, parsePriceToken, fullImageUrl, normalizePictureUrl, pickLink,
+  pickCategory, extractSegments, deriveTypePrefix, deriveModel, mapAvailability, mapCondition,
+  PARAM_FIELDS, resolveParams, collectPictures, readShipping, readWeight, readDimensions, parseFlag, readSalesTerms,
+  mapEntry,
+};
@@ -0,0 +1,54 @@
+/* scripts/lib/offer-ids.js
+   Детерминированные id для товаров без g:id: хэш от выбранных полей
+   (по умолчанию link, gtin, mpn, title), чтобы один и тот же товар
+   получал один и тот же id в каждой сборке. Плюс учёт дублей id.
+*/
+
+const crypto = require('crypto');
+
+const ID_SOURCES = ['link', 'gtin', 'mpn', 'title'];
+
+function parseIdSources(raw){
+  if (!raw) return ID_SOURCES.slice();
+  const list = String(raw).split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+  const unknown = list.filter(s => !ID_SOURCES.includes(s));
+  if (unknown.length) throw new Error(`Unknown offer id source(s): ${unknown.join(', ')} (allowed: ${ID_SOURCES.join(', ')})`);
+  if (!list.length) throw new Error('Offer id sources list is empty');
+  return list;
+}
+
+// '' — если ни одного из полей нет; 16 hex-символов укладываются в лимит Яндекса на id (20)
+function synthesizeOfferId(fields, sources = ID_SOURCES){
+  const parts = sources.filter(key => fields[key]).map(key => `${key}=${fields[key]}`);
+  if (!parts.length) return '';
+  return crypto.createHash('sha1').update(parts.join('\n')).digest('hex').slice(0, 16);
+}
+
+function createIdRegistry(){
+  const seen = new Map();
+  const duplicates = [];
+  const synthesized = [];
+
+  return {
+    register(offer){
+      if (offer.idSynthesized) synthesized.push({ id: offer.id, name: offer.name, url: offer.url });
+      const first = seen.get(offer.id);
+      if (first != null) duplicates.push({ id: offer.id, first, name: offer.name });
+      else seen.set(offer.id, offer.name || offer.url || '');
+    },
+    get duplicates(){ return duplicates; },
+    get synthesized(){ return synthesized; },
+    report(log = console.warn){
+      if (synthesized.length) {
+        log(`Synthesized ids for ${synthesized.length} entries without g:id:`);
+        for (const s of synthesized) log(`  ${s.id}  ${s.name || '(no title)'}  ${s.url || '(no link)'}`);
+      }
+      if (duplicates.length) {
+        log(`Duplicate offer ids: ${duplicates.length}`);
+        for (const d of duplicates) log(`  ${d.id}  "${d.name}" collides with "${d.first}"`);
+      }
+    },
+  };
+}
+
+module.exports = { ID_SOURCES, parseIdSources, synthesizeOfferId, createIdRegistry };
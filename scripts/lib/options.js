@@ -0,0 +1,133 @@
+/* scripts/lib/options.js
+   Настройки конвертации одним объектом. resolveOptions() дополняет значения по умолчанию
+   и проверяет их; списки и таблицы можно передать строками в формате переменных окружения
+   ("USD=NBK,EUR=CBRF", "Мощность=Вт") или уже готовыми Map/массивами.
+   optionsFromEnv() — то же из process.env и флагов командной строки (для CLI и GitHub Actions).
+*/
+
+const fs = require('fs');
+const { ID_SOURCES, parseIdSources } = require('./offer-ids');
+const { normCurrencyCode, parseCurrencyRates } = require('./currencies');
+const { parseDeliveryOptions } = require('./delivery');
+const { assertTimeZone } = require('./sales');
+const { parseParamUnits } = require('./params');
+const { parseOutletIds } = require('./feed-merge');
+const { loadRules, compileRules } = require('./rules');
+const { loadTaxonomyNames, loadCategoryMap, createTaxonomy } = require('./taxonomy');
+const { VARIANT_MODES } = require('./variants');
+const { splitList } = require('./cli');
+
+const DESCRIPTION_MODES = ['html', 'text'];
+
+const DEFAULTS = {
+  shop: { name: 'My Shop', company: 'My Company', url: 'https://example.com' },
+  baseImageOrigin: '',
+  offerIdSources: ID_SOURCES,
+  currencyBase: 'KZT',
+  currencyRates: new Map(),
+  currencyTarget: '',
+  priceRounding: '',
+  country: '',
+  deliveryDefaults: [],
+  pickupDefaults: [],
+  descriptionMode: 'html',
+  taxonomy: null,
+  paramUnits: new Map(),
+  variantMode: 'group',
+  salesNotes: '',
+  manufacturerWarranty: '',
+  buildTime: null,
+  timezone: 'UTC',
+  emitPromos: false,
+  repairMojibake: false,
+  format: 'yml',
+  kaspi: { merchantId: '', company: '', stores: ['PP1'], cities: [] },
+  rules: null,
+  outletIds: new Map(),
+  supplemental: new Map(),
+  inventory: new Map(),
+  // offerId -> адреса картинок (манифест R2); заменяют картинки из фида, пустой список их убирает
+  imageIndex: new Map(),
+  // кодировка из заголовков ответа; без неё определяется по BOM и прологу
+  charset: '',
+  // тексты для отчёта о том, что фид взят из запасной копии
+  notices: [],
+  // предупреждения по ходу сборки (CLI отдаёт их в stderr)
+  warn: () => {},
+};
+
+const parsed = (value, parse, label) => (typeof value === 'string' ? parse(value, label) : value);
+
+function toImageIndex(index){
+  if (index instanceof Map) return index;
+  return new Map(Object.entries(index || {}));
+}
+
+function resolveOptions(options = {}){
+  const given = Object.fromEntries(Object.entries(options).filter(([, v]) => v !== undefined));
+  const o = { ...DEFAULTS, ...given };
+  o.shop = { ...DEFAULTS.shop, ...options.shop };
+  o.kaspi = { ...DEFAULTS.kaspi, ...options.kaspi };
+  if (!DESCRIPTION_MODES.includes(o.descriptionMode)) throw new Error(`Invalid DESCRIPTION_MODE "${o.descriptionMode}": expected html or text`);
+  if (!VARIANT_MODES.includes(o.variantMode)) throw new Error(`Invalid VARIANT_MODE "${o.variantMode}": expected ${VARIANT_MODES.join(' or ')}`);
+  o.currencyBase = normCurrencyCode(o.currencyBase) || 'KZT';
+  o.offerIdSources = parseIdSources(Array.isArray(o.offerIdSources) ? o.offerIdSources.join(',') : o.offerIdSources);
+  o.currencyRates = parsed(o.currencyRates, parseCurrencyRates);
+  o.deliveryDefaults = parsed(o.deliveryDefaults, parseDeliveryOptions, 'DELIVERY_OPTIONS');
+  o.pickupDefaults = parsed(o.pickupDefaults, parseDeliveryOptions, 'PICKUP_OPTIONS');
+  o.paramUnits = parsed(o.paramUnits, parseParamUnits);
+  o.outletIds = parsed(o.outletIds, parseOutletIds);
+  o.timezone = assertTimeZone(o.timezone);
+  o.buildTime = o.buildTime ? new Date(o.buildTime) : new Date();
+  o.taxonomy = o.taxonomy || createTaxonomy();
+  // правила — готовые (loadRules/compileRules) или конфиг { rules: [...] }
+  if (o.rules && typeof o.rules.apply !== 'function') o.rules = compileRules(o.rules);
+  o.imageIndex = toImageIndex(o.imageIndex);
+  return o;
+}
+
+// файл по умолчанию необязателен: берём, только если он есть
+const optionalFile = (value, fallback) => value || (fs.existsSync(fallback) ? fallback : '');
+
+/* env — process.env, flags — флаги parseArgs (--format, --rules, --variants).
+   Файлы правил и таксономии читаются здесь, а не при конвертации */
+function optionsFromEnv(env = process.env, flags = {}){
+  const taxonomyFile = optionalFile(env.GOOGLE_TAXONOMY_FILE, 'data/google-taxonomy.ru-RU.txt');
+  const categoryMapFile = optionalFile(env.CATEGORY_MAP_FILE, 'data/category-map.json');
+  const rulesPath = flags.rules || env.RULES_FILE || '';
+  return resolveOptions({
+    shop: { name: env.SHOP_NAME || 'My Shop', company: env.SHOP_COMPANY || 'My Company', url: env.SHOP_URL || 'https://example.com' },
+    baseImageOrigin: env.BASE_IMAGE_ORIGIN || '',
+    offerIdSources: env.OFFER_ID_SOURCES || '',
+    currencyBase: env.CURRENCY_BASE || 'KZT',
+    currencyRates: env.CURRENCY_RATES || '',
+    currencyTarget: env.CURRENCY_TARGET || '',
+    priceRounding: env.PRICE_ROUNDING || '',
+    country: env.SHOP_COUNTRY || '',
+    deliveryDefaults: env.DELIVERY_OPTIONS || '',
+    pickupDefaults: env.PICKUP_OPTIONS || '',
+    descriptionMode: env.DESCRIPTION_MODE || 'html',
+    taxonomy: createTaxonomy({
+      names: taxonomyFile ? loadTaxonomyNames(taxonomyFile) : new Map(),
+      categoryMap: categoryMapFile ? loadCategoryMap(categoryMapFile) : new Map(),
+    }),
+    paramUnits: env.PARAM_UNITS || '',
+    variantMode: flags.variants || env.VARIANT_MODE || 'group',
+    salesNotes: env.SALES_NOTES || '',
+    manufacturerWarranty: env.MANUFACTURER_WARRANTY || '',
+    timezone: env.SALE_TIMEZONE || 'UTC',
+    emitPromos: env.EMIT_PROMOS === '1',
+    repairMojibake: env.REPAIR_MOJIBAKE === '1',
+    format: flags.format || env.OUTPUT_FORMAT || 'yml',
+    kaspi: {
+      merchantId: env.KASPI_MERCHANT_ID || '',
+      company: env.KASPI_COMPANY || '',
+      stores: splitList(env.KASPI_STORES || 'PP1'),
+      cities: splitList(env.KASPI_CITIES),
+    },
+    rules: rulesPath ? loadRules(rulesPath) : null,
+    outletIds: env.OUTLET_IDS || '',
+  });
+}
+
+module.exports = { DEFAULTS, resolveOptions, optionsFromEnv };
@@ -0,0 +1,76 @@
+/* scripts/lib/params.js
+   Нормализация значений <param>: перечисления Google (gender, age_group, size_type) — по-русски,
+   "500 ml" / "2200W" — число и отдельный атрибут unit, размер — с размерной сеткой в unit.
+   PARAM_UNITS="Мощность=Вт,Объем=мл" — единица для голых чисел в указанных параметрах.
+*/
+
+const { normalizeNumber } = require('./units');
+
+const ENUM_VALUES = {
+  gender: { male:'Мужской', female:'Женский', unisex:'Унисекс' },
+  age_group: { newborn:'Для новорождённых', infant:'Для младенцев', toddler:'Для малышей', kids:'Детский', adult:'Взрослый' },
+  size_type: {
+    regular:'Стандартный', petite:'Для невысоких', plus:'Большие размеры', 'big and tall':'Для высоких и крупных',
+    big:'Для крупных', tall:'Для высоких', maternity:'Для беременных',
+  },
+};
+
+// g:size_system -> размерная сетка Маркета (unit у параметра «Размер»)
+const SIZE_SYSTEMS = new Map([
+  ['us','US'], ['uk','UK'], ['eu','EU'], ['de','DE'], ['fr','FR'], ['it','IT'],
+  ['jp','JP'], ['cn','CN'], ['br','BR'], ['mex','MX'], ['au','AU'], ['ru','RU'],
+]);
+
+const UNIT_ALIASES = new Map([
+  ['ml','мл'], ['мл','мл'], ['l','л'], ['л','л'],
+  ['mg','мг'], ['мг','мг'], ['g','г'], ['г','г'], ['гр','г'], ['kg','кг'], ['кг','кг'],
+  ['mm','мм'], ['мм','мм'], ['cm','см'], ['см','см'], ['m','м'], ['м','м'],
+  ['in','дюйм'], ['inch','дюйм'], ['"','дюйм'], ['дюйм','дюйм'], ['дюйма','дюйм'], ['дюймов','дюйм'],
+  ['w','Вт'], ['вт','Вт'], ['kw','кВт'], ['квт','кВт'],
+  ['v','В'], ['в','В'], ['a','А'], ['а','А'], ['mah','мА·ч'], ['мач','мА·ч'], ['ма·ч','мА·ч'], ['wh','Вт·ч'], ['втч','Вт·ч'],
+  ['hz','Гц'], ['гц','Гц'], ['khz','кГц'], ['кгц','кГц'], ['mhz','МГц'], ['мгц','МГц'], ['ghz','ГГц'], ['ггц','ГГц'],
+  ['mb','МБ'], ['мб','МБ'], ['gb','ГБ'], ['гб','ГБ'], ['tb','ТБ'], ['тб','ТБ'],
+  ['db','дБ'], ['дб','дБ'], ['lm','лм'], ['лм','лм'], ['rpm','об/мин'], ['об/мин','об/мин'],
+]);
+
+const NUMBER = '\\d{1,3}(?:,\\d{3})+(?:\\.\\d+)?|\\d+(?:[.,]\\d+)?';
+const NUMERIC_VALUE = new RegExp(`^((?:${NUMBER})(?:\\s*[-–]\\s*(?:${NUMBER}))?)\\s*(.*)$`);
+
+function parseParamUnits(raw = ''){
+  const map = new Map();
+  for (const item of String(raw).split(',').map(s => s.trim()).filter(Boolean)) {
+    const at = item.lastIndexOf('=');
+    const name = item.slice(0, at).trim();
+    const unit = item.slice(at + 1).trim();
+    if (at < 0 || !name || !unit) throw new Error(`Invalid PARAM_UNITS entry "${item}": expected name=unit`);
+    map.set(name.toLowerCase(), unit);
+  }
+  return map;
+}
+
+/* param — { name, value }, key — поле Google, из которого взят параметр (если известно).
+   Возвращает { name, value, unit? }; непонятные значения остаются как есть. */
+function normalizeParam({ name, value }, { key = '', sizeSystem = '', unitDefaults = new Map() } = {}){
+  const dictionary = ENUM_VALUES[key];
+  if (dictionary) {
+    const translated = dictionary[String(value).trim().toLowerCase()];
+    return { name, value: translated || value };
+  }
+  if (key === 'size') {
+    const grid = SIZE_SYSTEMS.get(String(sizeSystem).trim().toLowerCase());
+    return grid ? { name, value, unit: grid } : { name, value };
+  }
+  if (key === 'size_system') return { name, value: SIZE_SYSTEMS.get(String(value).trim().toLowerCase()) || value };
+
+  const m = String(value).trim().match(NUMERIC_VALUE);
+  if (!m) return { name, value };
+  const number = normalizeNumber(m[1]).replace(/\s+/g, '');
+  if (!m[2]) {
+    const unit = unitDefaults.get(String(name).toLowerCase());
+    return unit ? { name, value: number, unit } : { name, value };
+  }
+  const unit = UNIT_ALIASES.get(m[2].toLowerCase().replace(/\.$/, ''));
+  return unit ? { name, value: number, unit } : { name, value };
+}
+
+module.exports = { normalizeParam, parseParamUnits };
@@ -0,0 +1,194 @@
+/* scripts/lib/rules.js
+   Декларативные правила для офферов (RULES_FILE / --rules, JSON):
+
+   { "rules": [
+       { "name": "Без уценки", "match": { "custom_label_0": { "in": ["outlet", "internal"] } }, "exclude": true },
+       { "match": { "brand": "SAMSUNG" }, "set": { "brand": "Samsung" } },
+       { "match": { "product_type": { "startsWith": "Смартфоны" } }, "set": { "typePrefix": "Смартфон" } },
+       { "removeParams": ["Метка 0", "Метка 1"] },
+       { "renameParams": { "Метка 2": "Серия" } },
+       { "addParams": [{ "name": "Гарантия", "value": "1 год" }] },
+       { "match": { "brand": "Samsung" }, "price": { "multiply": 1.05, "round": "ceil:10" } }
+   ] }
+
+   match — условия на поля исходной записи Google-фида (все должны выполниться);
+   значение-строка — равенство без учёта регистра, объект — операторы equals, in, notIn,
+   contains, startsWith, endsWith, regex, exists; { "any": [ … ] } — хотя бы одно из условий.
+   Значения set проходят те же проверки, что поля фида: availability — in_stock, out_of_stock…
+   (или true/false), weight — с единицей ("500 g"); новая category без typePrefix в том же правиле
+   заново задаёт typePrefix. Правила применяются по порядку, каждое срабатывание попадает в отчёт о сборке.
+   price применяется отдельно, после пересчёта в валюту выгрузки, чтобы наценка и округление не терялись.
+*/
+
+const fs = require('fs');
+const { parseRounding, roundPrice } = require('./currencies');
+const { mapAvailability, readWeight, deriveTypePrefix } = require('./mapping');
+
+const SETTABLE = new Set([
+  'name', 'description', 'url', 'brand', 'mpn', 'gtin', 'availability', 'category',
+  'typePrefix', 'model', 'shopSku', 'itemGroupId', 'weight',
+]);
+// значения availability в терминах Google-фида (как пишет маппер) или уже готовые true/false
+const AVAILABILITY_VALUES = new Set(['in_stock', 'preorder', 'available_for_order', 'backorder', 'out_of_stock', 'sold_out', 'true', 'false']);
+const OPERATORS = new Set(['equals', 'in', 'notIn', 'contains', 'startsWith', 'endsWith', 'regex', 'exists']);
+const ACTIONS = ['exclude', 'set', 'removeParams', 'renameParams', 'addParams', 'price'];
+
+const one = v => Array.isArray(v) ? v[0] : v;
+const textOf = v => { const x = one(v); return String(x && typeof x === 'object' ? (x._ || '') : (x ?? '')).replace(/\s+/g, ' ').trim(); };
+const lower = s => String(s).toLowerCase();
+
+// g:id хранится в записи как gid
+function sourceField(entry, field){
+  if (field === 'id') return textOf(entry.gid) || textOf(entry.id);
+  return textOf(entry[field]);
+}
+
+function compileCondition(field, spec, where){
+  if (spec === null || typeof spec !== 'object' || Array.isArray(spec)) {
+    const expected = lower(spec);
+    return entry => lower(sourceField(entry, field)) === expected;
+  }
+  const tests = Object.entries(spec).map(([op, arg]) => {
+    if (!OPERATORS.has(op)) throw new Error(`${where}: unknown operator "${op}" for field "${field}"`);
+    const list = () => {
+      if (!Array.isArray(arg)) throw new Error(`${where}: "${op}" for field "${field}" expects an array`);
+      return new Set(arg.map(lower));
+    };
+    switch (op) {
+      case 'equals':     return v => lower(v) === lower(arg);
+      case 'in':         { const set = list(); return v => set.has(lower(v)); }
+      case 'notIn':      { const set = list(); return v => !set.has(lower(v)); }
+      case 'contains':   return v => lower(v).includes(lower(arg));
+      case 'startsWith': return v => lower(v).startsWith(lower(arg));
+      case 'endsWith':   return v => lower(v).endsWith(lower(arg));
+      case 'regex':      { const re = new RegExp(arg, 'i'); return v => re.test(v); }
+      default:           return v => Boolean(v) === Boolean(arg); // exists
+    }
+  });
+  return entry => {
+    const value = sourceField(entry, field);
+    return tests.every(test => test(value));
+  };
+}
+
+function compileMatch(match = {}, where){
+  if (typeof match !== 'object' || match === null || Array.isArray(match)) throw new Error(`${where}: "match" must be an object`);
+  const parts = Object.entries(match).map(([field, spec]) => {
+    if (field === 'any') {
+      if (!Array.isArray(spec)) throw new Error(`${where}: "any" expects an array of conditions`);
+      const alternatives = spec.map((m, i) => compileMatch(m, `${where} any[${i}]`));
+      return entry => alternatives.some(test => test(entry));
+    }
+    return compileCondition(field, spec, where);
+  });
+  return entry => parts.every(test => test(entry));
+}
+
+function compilePrice(spec, where){
+  const multiply = spec.multiply == null ? 1 : Number(spec.multiply);
+  const add = spec.add == null ? 0 : Number(spec.add);
+  if (!(multiply > 0) || !Number.isFinite(add)) throw new Error(`${where}: "price" needs a positive "multiply" and a numeric "add"`);
+  const rounding = parseRounding(spec.round || '0.01');
+  const adjust = amount => (amount ? roundPrice(Number(amount) * multiply + add, rounding) : amount);
+  return offer => { offer.price = adjust(offer.price); offer.oldprice = adjust(offer.oldprice); };
+}
+
+/* set пишет значения в модель оффера, поэтому они проходят те же нормализаторы, что у маппера:
+   "in_stock" становится "true", "500 g" — "0.5". Недопустимое значение — ошибка конфигурации */
+function normaliseSetValue(field, value, where){
+  const text = String(value).trim();
+  if (field === 'availability') {
+    const key = text.toLowerCase().replace(/\s+/g, '_');
+    if (!AVAILABILITY_VALUES.has(key)) throw new Error(`${where}: invalid availability "${text}" (expected ${Array.from(AVAILABILITY_VALUES).join(', ')})`);
+    return key === 'true' || key === 'false' ? key : mapAvailability(key);
+  }
+  if (field === 'weight') {
+    const kg = readWeight({ shipping_weight: text }, { modify(){} });
+    if (!kg) throw new Error(`${where}: invalid weight "${text}" (expected e.g. "500 g" or "1.2 kg")`);
+    return kg;
+  }
+  return text;
+}
+
+function compileRule(rule, index){
+  const name = rule.name || `#${index + 1}`;
+  const where = `Rule ${name}`;
+  const unknown = Object.keys(rule).filter(k => k !== 'name' && k !== 'match' && !ACTIONS.includes(k));
+  if (unknown.length) throw new Error(`${where}: unknown key(s) ${unknown.join(', ')}`);
+  const actions = ACTIONS.filter(a => rule[a] != null && rule[a] !== false);
+  if (!actions.length) throw new Error(`${where}: no action (one of ${ACTIONS.join(', ')})`);
+  for (const field of Object.keys(rule.set || {})) {
+    if (!SETTABLE.has(field)) throw new Error(`${where}: cannot set "${field}" (allowed: ${Array.from(SETTABLE).join(', ')})`);
+  }
+  const values = Object.entries(rule.set || {}).map(([k, v]) => [k, normaliseSetValue(k, v, where)]);
+  // typePrefix от старой категории к новой не подходит
+  if (rule.set?.category != null && rule.set.typePrefix == null) {
+    values.push(['typePrefix', deriveTypePrefix({}, values.find(([k]) => k === 'category')[1])]);
+  }
+
+  const matches = compileMatch(rule.match, where);
+  const steps = [];
+  if (rule.set) {
+    steps.push(offer => {
+      for (const [k, v] of values) offer[k] = v;
+      // описание из правила — простой текст, не HTML
+      if (rule.set.description != null) delete offer.descriptionHtml;
+    });
+  }
+  if (rule.removeParams) {
+    const names = new Set(rule.removeParams.map(lower));
+    steps.push(offer => { offer.params = (offer.params || []).filter(p => !names.has(lower(p.name))); });
+  }
+  if (rule.renameParams) {
+    const map = new Map(Object.entries(rule.renameParams).map(([from, to]) => [lower(from), String(to)]));
+    steps.push(offer => { for (const p of offer.params || []) if (map.has(lower(p.name))) p.name = map.get(lower(p.name)); });
+  }
+  if (rule.addParams) {
+    for (const p of rule.addParams) if (!p?.name || p.value == null) throw new Error(`${where}: addParams entries need "name" and "value"`);
+    steps.push(offer => {
+      offer.params = offer.params || [];
+      for (const p of rule.addParams) offer.params.push({ name: String(p.name), value: String(p.value), ...(p.unit ? { unit: String(p.unit) } : {}) });
+    });
+  }
+  const price = rule.price ? compilePrice(rule.price, where) : null;
+
+  return { name, matches, exclude: rule.exclude === true, steps, price, actions };
+}
+
+function compileRules(config){
+  const list = Array.isArray(config) ? config : config?.rules;
+  if (!Array.isArray(list)) throw new Error('Rules file must contain a "rules" array');
+  const rules = list.map(compileRule);
+
+  return {
+    size: rules.length,
+    /* применяет правила к офферу; false — оффер исключён правилом.
+       log — журнал записи из build-report, report — для счётчиков по правилам */
+    apply(entry, offer, log, report){
+      for (const rule of rules) {
+        if (!rule.matches(entry)) continue;
+        report?.rule(rule.name);
+        if (rule.exclude) {
+          log?.drop('RULE_EXCLUDED', `excluded by rule "${rule.name}"`);
+          return false;
+        }
+        for (const step of rule.steps) step(offer);
+        log?.modify('RULE_APPLIED', `rule "${rule.name}": ${rule.actions.join(', ')}`);
+      }
+      return true;
+    },
+    // price из сработавших правил; вызывается после пересчёта цены в валюту выгрузки
+    adjustPrices(entry, offer){
+      for (const rule of rules) if (rule.price && rule.matches(entry)) rule.price(offer);
+    },
+  };
+}
+
+function loadRules(filePath){
+  let config;
+  try { config = JSON.parse(fs.readFileSync(filePath, 'utf8')); }
+  catch (err) { throw new Error(`Cannot load rules file ${filePath}: ${err.message}`); }
+  return compileRules(config);
+}
+
+module.exports = { loadRules, compileRules };
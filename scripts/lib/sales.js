@@ -0,0 +1,106 @@
+/* scripts/lib/sales.js
+   g:sale_price_effective_date — ISO 8601 интервал "начало/конец"
+   ("2024-02-24T11:07+0100/2024-02-29T23:07+0100", "2024-02-24/2024-02-29").
+   Распродажа применяется только внутри интервала на момент сборки; даты без
+   смещения трактуются во временной зоне SALE_TIMEZONE. Запланированные и текущие
+   распродажи можно дополнительно выгрузить как <promos> типа "flash discount".
+*/
+
+const crypto = require('crypto');
+
+const DATE_RE = /^(\d{4})-(\d{2})-(\d{2})(?:[T\s](\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i;
+
+function assertTimeZone(tz){
+  try { new Intl.DateTimeFormat('en-US', { timeZone: tz }); }
+  catch { throw new Error(`Unknown time zone "${tz}"`); }
+  return tz;
+}
+
+function zonedParts(date, tz){
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: tz, hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit',
+  }).formatToParts(date);
+  const get = type => Number(parts.find(p => p.type === type).value);
+  return { year: get('year'), month: get('month'), day: get('day'), hour: get('hour'), minute: get('minute'), second: get('second') };
+}
+
+function tzOffsetMs(date, tz){
+  const p = zonedParts(date, tz);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// локальное время зоны tz -> UTC; второй шаг поправляет смещение на границах перехода на летнее время
+function zonedToUtc(fields, tz){
+  const guess = Date.UTC(fields[0], fields[1] - 1, fields[2], fields[3], fields[4], fields[5]);
+  const first = guess - tzOffsetMs(new Date(guess), tz);
+  return new Date(guess - tzOffsetMs(new Date(first), tz));
+}
+
+// endOfDay: у конца интервала без времени берём конец дня (интервал включает последний день)
+function parseDateTime(raw, tz, endOfDay = false){
+  const m = String(raw).trim().match(DATE_RE);
+  if (!m) return undefined;
+  const hasTime = m[4] != null;
+  const fields = [m[1], m[2], m[3], hasTime ? m[4] : (endOfDay ? 23 : 0), hasTime ? m[5] : (endOfDay ? 59 : 0), m[6] || (!hasTime && endOfDay ? 59 : 0)].map(Number);
+  if (!m[7]) return zonedToUtc(fields, tz);
+  const utc = Date.UTC(fields[0], fields[1] - 1, fields[2], fields[3], fields[4], fields[5]);
+  if (m[7].toUpperCase() === 'Z') return new Date(utc);
+  const sign = m[7][0] === '-' ? -1 : 1;
+  const digits = m[7].slice(1).replace(':', '');
+  const offset = sign * (Number(digits.slice(0, 2)) * 60 + Number(digits.slice(2))) * 60000;
+  return new Date(utc - offset);
+}
+
+/* { start, end } (Date или null для открытой границы); null — пустое значение;
+   бросает ошибку на нераспознанный формат */
+function parseEffectiveDate(raw = '', tz = 'UTC'){
+  const value = String(raw || '').trim();
+  if (!value) return null;
+  const [startRaw = '', endRaw = ''] = value.split('/').map(s => s.trim());
+  const start = startRaw ? parseDateTime(startRaw, tz) : null;
+  const end = endRaw ? parseDateTime(endRaw, tz, true) : null;
+  if (start === undefined || end === undefined || (!start && !end)) {
+    throw new Error(`Unrecognised sale_price_effective_date "${value}"`);
+  }
+  if (start && end && start > end) throw new Error(`sale_price_effective_date ends before it starts: "${value}"`);
+  return { start, end };
+}
+
+function saleState(window, now){
+  if (!window) return 'active';
+  if (window.start && now < window.start) return 'upcoming';
+  if (window.end && now > window.end) return 'expired';
+  return 'active';
+}
+
+function formatLocal(date, tz){
+  const p = zonedParts(date, tz);
+  const pad = n => String(n).padStart(2, '0');
+  return `${p.year}-${pad(p.month)}-${pad(p.day)} ${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}`;
+}
+
+// офферы с одинаковым интервалом распродажи объединяются в одну акцию
+function createPromoCollector(){
+  const byWindow = new Map();
+  return {
+    add(offer, window, price, currency){
+      const key = `${window.start ? window.start.toISOString() : ''}/${window.end ? window.end.toISOString() : ''}`;
+      if (!byWindow.has(key)) byWindow.set(key, { window, products: [] });
+      byWindow.get(key).products.push({ offerId: offer.id, price, currency });
+    },
+    // keep(offerId) — отсев офферов, которые не попадут в выгрузку
+    promos(keep = () => true){
+      return Array.from(byWindow.entries())
+        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+        .map(([key, { window, products }]) => ({
+          id: `sale-${crypto.createHash('sha1').update(key).digest('hex').slice(0, 10)}`,
+          start: window.start, end: window.end, products: products.filter(p => keep(p.offerId)),
+        }))
+        .filter(promo => promo.products.length);
+    },
+    get size(){ return byWindow.size; },
+  };
+}
+
+module.exports = { assertTimeZone, parseEffectiveDate, saleState, formatLocal, createPromoCollector };
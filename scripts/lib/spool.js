@@ -0,0 +1,39 @@
+/* scripts/lib/spool.js
+   Временный JSONL-файл для двухпроходной записи: модель офферов копится на диске,
+   а не в памяти, пока не собраны данные для шапки (категории и т.п.).
+*/
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const { once } = require('events');
+
+async function writeChunk(stream, chunk){
+  if (!stream.write(chunk)) await once(stream, 'drain');
+}
+
+function createSpool(prefix = 'feed-spool'){
+  const file = path.join(os.tmpdir(), `${prefix}-${process.pid}-${Date.now()}.jsonl`);
+  const out = fs.createWriteStream(file, 'utf8');
+  let size = 0;
+
+  return {
+    get size(){ return size; },
+    async push(item){
+      size += 1;
+      await writeChunk(out, `${JSON.stringify(item)}\n`);
+    },
+    async *read(){
+      if (!out.writableFinished) { out.end(); await once(out, 'finish'); }
+      const rl = readline.createInterface({ input: fs.createReadStream(file, 'utf8'), crlfDelay: Infinity });
+      for await (const line of rl) if (line) yield JSON.parse(line);
+    },
+    async dispose(){
+      if (!out.writableFinished) { out.end(); await once(out, 'finish'); }
+      await fs.promises.rm(file, { force:true });
+    },
+  };
+}
+
+module.exports = { createSpool, writeChunk };
@@ -0,0 +1,67 @@
+/* scripts/lib/taxonomy.js
+   Таксономия товаров Google: id -> полный путь (файл taxonomy-with-ids.ru-RU.txt,
+   строки вида "267 - Электроника > Связь > Телефония > Мобильные телефоны")
+   и таблица соответствия категориям Яндекс.Маркета (JSON: ключ — id или путь Google,
+   значение — путь категории Маркета или { "category": "…", "typePrefix": "…" }).
+   Соответствие ищется от самой узкой категории к корню, так что запись для раздела
+   покрывает и все его подкатегории.
+*/
+
+const fs = require('fs');
+
+const normalizePath = path => String(path).split(/\s*>\s*/).map(s => s.trim()).filter(Boolean).join(' > ');
+
+function loadTaxonomyNames(filePath){
+  const names = new Map();
+  for (const line of fs.readFileSync(filePath, 'utf8').split(/\r?\n/)) {
+    const m = line.match(/^\s*(\d+)\s+-\s+(.+?)\s*$/);
+    if (m) names.set(m[1], normalizePath(m[2]));
+  }
+  if (!names.size) throw new Error(`Google taxonomy file ${filePath} has no "<id> - <path>" lines`);
+  return names;
+}
+
+function loadCategoryMap(filePath){
+  let raw;
+  try { raw = JSON.parse(fs.readFileSync(filePath, 'utf8')); }
+  catch (err) { throw new Error(`Cannot load category map ${filePath}: ${err.message}`); }
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new Error(`Category map ${filePath} must be a JSON object`);
+  const map = new Map();
+  for (const [key, value] of Object.entries(raw)) {
+    if (key.startsWith('//')) continue;
+    const target = typeof value === 'string' ? { category: value } : value;
+    if (!target || (!target.category && !target.typePrefix)) throw new Error(`Category map ${filePath}: "${key}" needs a category or typePrefix`);
+    const mapKey = /^\d+$/.test(key.trim()) ? key.trim() : normalizePath(key).toLowerCase();
+    map.set(mapKey, { category: target.category ? normalizePath(target.category) : '', typePrefix: String(target.typePrefix || '') });
+  }
+  return map;
+}
+
+/* resolve(google_product_category) -> { path, mapped, unresolved }:
+   path — путь Google ('' если id неизвестен), mapped — запись таблицы соответствия или null,
+   unresolved — пришёл числовой id, которого нет ни в таксономии, ни в таблице соответствия */
+function createTaxonomy({ names = new Map(), categoryMap = new Map() } = {}){
+  const idsByPath = new Map();
+  for (const [id, path] of names) idsByPath.set(path.toLowerCase(), id);
+
+  return {
+    size: names.size,
+    resolve(raw){
+      const value = String(raw || '').trim();
+      if (!value) return { path: '', mapped: null, unresolved: false };
+      const isId = /^\d+$/.test(value);
+      const path = isId ? (names.get(value) || '') : normalizePath(value);
+
+      let mapped = isId ? categoryMap.get(value) || null : null;
+      const segments = path ? path.split(' > ') : [];
+      for (let n = segments.length; !mapped && n > 0; n--) {
+        const prefix = segments.slice(0, n).join(' > ').toLowerCase();
+        const id = idsByPath.get(prefix);
+        mapped = categoryMap.get(prefix) || (id && categoryMap.get(id)) || null;
+      }
+      return { path, mapped, unresolved: isId && !path && !mapped };
+    },
+  };
+}
+
+module.exports = { loadTaxonomyNames, loadCategoryMap, createTaxonomy };
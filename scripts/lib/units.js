@@ -0,0 +1,52 @@
+/* scripts/lib/units.js
+   Разбор значений с единицами измерения из Google-фида ("2.5 kg", "500 g", "3 lb", "12 in")
+   и перевод в единицы Яндекса: вес в кг, габариты в см.
+*/
+
+const WEIGHT_TO_KG = new Map([
+  ['kg', 1], ['кг', 1],
+  ['g', 0.001], ['г', 0.001], ['гр', 0.001],
+  ['lb', 0.45359237], ['lbs', 0.45359237],
+  ['oz', 0.028349523125],
+]);
+
+const LENGTH_TO_CM = new Map([
+  ['cm', 1], ['см', 1],
+  ['mm', 0.1], ['мм', 0.1],
+  ['m', 100], ['м', 100],
+  ['in', 2.54], ['inch', 2.54], ['inches', 2.54], ['"', 2.54], ['дюйм', 2.54],
+  ['ft', 30.48],
+]);
+
+/* Запятая — десятичный знак, только если она единственный разделитель и после неё меньше
+   3 цифр или перед ней ноль ("2,5", "0,125"); "1,000" и "1,000.5" — разделитель тысяч */
+function normalizeNumber(raw){
+  return String(raw).replace(/\d+(?:[.,]\d+)*/g, token => {
+    const commas = token.split(',').length - 1;
+    if (!commas) return token;
+    if (commas === 1 && !token.includes('.') && (!/,\d{3}$/.test(token) || /^0,/.test(token))) return token.replace(',', '.');
+    return token.replace(/,/g, '');
+  });
+}
+
+function parseMeasure(raw = ''){
+  const m = String(raw).trim().match(/^(-?\d{1,3}(?:,\d{3})+(?:\.\d+)?|-?\d+(?:[.,]\d+)?)\s*([^\d\s].*)?$/);
+  if (!m) return null;
+  return { value: Number(normalizeNumber(m[1])), unit: String(m[2] || '').trim().toLowerCase().replace(/\.$/, '') };
+}
+
+// без единицы считаем, что значение уже в defaultUnit; неизвестная единица — null
+function convertMeasure(raw, factors, defaultUnit){
+  const measure = parseMeasure(raw);
+  if (!measure) return null;
+  const factor = factors.get(measure.unit || defaultUnit);
+  return factor == null ? null : measure.value * factor;
+}
+
+const toKg = (raw, defaultUnit = 'kg') => convertMeasure(raw, WEIGHT_TO_KG, defaultUnit);
+const toCm = (raw, defaultUnit = 'cm') => convertMeasure(raw, LENGTH_TO_CM, defaultUnit);
+
+// не больше 3 знаков после запятой, без хвостовых нулей
+const formatNumber = value => String(Number(value.toFixed(3)));
+
+module.exports = { normalizeNumber, parseMeasure, toKg, toCm, formatNumber };
@@ -0,0 +1,122 @@
+/* scripts/lib/variants.js
+   Группы вариантов (item_group_id). На первом проходе копится сводка по группе: имена,
+   бренды, категории и значения атрибутов вариантов (цвет, размер, объём…), на втором
+   каждый оффер приводится в порядок по этой сводке:
+   - одинаковые имена внутри группы дополняются отличающимися значениями ("…, Чёрный, 256 ГБ");
+   - отличающийся атрибут обязан быть <param> у каждого варианта (правила могли его убрать);
+   - группа со смешанными брендами или категориями Маркетом не примется — group_id снимается;
+   - mode=collapse: от группы остаётся один оффер (в наличии, самый дешёвый) без group_id.
+*/
+
+const VARIANT_MODES = ['group', 'collapse'];
+
+const lower = s => String(s || '').trim().toLowerCase();
+const display = ({ value, unit }) => (unit ? `${value} ${unit}` : String(value));
+
+function createVariantGroups({ mode = 'group' } = {}){
+  if (!VARIANT_MODES.includes(mode)) throw new Error(`Invalid variant mode "${mode}": expected ${VARIANT_MODES.join(' or ')}`);
+  const groups = new Map();
+
+  // лучший представитель группы для collapse: в наличии, затем дешевле, затем первый
+  const better = (offer, rep) => {
+    if (!rep) return true;
+    if ((offer.availability === 'true') !== rep.available) return offer.availability === 'true';
+    return Number(offer.price) < rep.price;
+  };
+
+  const mixed = g => g.brands.size > 1 || g.categories.size > 1;
+
+  return {
+    // offer.variant — [{ name, value, unit? }] атрибутов варианта из фида
+    add(offer){
+      if (!offer.itemGroupId) return;
+      let g = groups.get(offer.itemGroupId);
+      if (!g) {
+        g = { size: 0, names: new Map(), brands: new Map(), categories: new Set(), attributes: new Map(), rep: null, members: [] };
+        groups.set(offer.itemGroupId, g);
+      }
+      g.size += 1;
+      if (mode === 'collapse') g.members.push(offer.id);
+      g.names.set(lower(offer.name), (g.names.get(lower(offer.name)) || 0) + 1);
+      if (!g.brands.has(lower(offer.brand))) g.brands.set(lower(offer.brand), offer.brand || '(none)');
+      g.categories.add(offer.categoryId);
+      for (const attr of offer.variant || []) {
+        let a = g.attributes.get(attr.name);
+        if (!a) { a = { values: new Set(), members: 0 }; g.attributes.set(attr.name, a); }
+        a.values.add(lower(display(attr)));
+        a.members += 1;
+      }
+      if (better(offer, g.rep)) g.rep = { id: offer.id, available: offer.availability === 'true', price: Number(offer.price) };
+    },
+
+    // итоги по группам для отчёта: { code, message }
+    warnings(){
+      const list = [];
+      for (const [id, g] of groups) {
+        if (g.size < 2) continue;
+        if (g.brands.size > 1) list.push({ code:'VARIANT_GROUP_MIXED', message: `group ${id} mixes brands ${[...g.brands.values()].join(', ')}, group_id removed` });
+        else if (g.categories.size > 1) list.push({ code:'VARIANT_GROUP_MIXED', message: `group ${id} spans ${g.categories.size} categories, group_id removed` });
+        for (const [name, a] of g.attributes) {
+          if (a.values.size > 1 && a.members < g.size) {
+            list.push({ code:'VARIANT_ATTRIBUTE_MISSING', message: `group ${id}: ${g.size - a.members} of ${g.size} variants have no "${name}"` });
+          }
+        }
+        const distinct = [...g.attributes.values()].some(a => a.values.size > 1);
+        if (!distinct) list.push({ code:'VARIANT_NOT_DISTINGUISHABLE', message: `group ${id}: ${g.size} variants share all variant attributes` });
+      }
+      return list;
+    },
+
+    // id офферов, которые collapse уберёт из выгрузки (для <promos>)
+    collapsedIds(){
+      const ids = new Set();
+      for (const g of groups.values()) {
+        if (!mixed(g)) for (const id of g.members) if (id !== g.rep.id) ids.add(id);
+      }
+      return ids;
+    },
+
+    /* Второй проход: правит оффер на месте. Возвращает { skip, changes }:
+       skip — причина выбросить оффер (collapse), changes — [{ code, message }] для отчёта */
+    apply(offer){
+      const g = offer.itemGroupId && groups.get(offer.itemGroupId);
+      const changes = [];
+      if (!g) return { skip: '', changes };
+      // площадке без вариантов group_id не нужен и у одиночек
+      if (g.size < 2) { if (mode === 'collapse') delete offer.itemGroupId; return { skip: '', changes }; }
+      // смешанная группа — это разные товары: group_id снимаем, но не схлопываем
+      if (mixed(g)) {
+        changes.push({ code:'VARIANT_GROUP_SPLIT', message: `group_id ${offer.itemGroupId} removed: group mixes brands or categories` });
+        delete offer.itemGroupId;
+        return { skip: '', changes };
+      }
+      if (mode === 'collapse') {
+        if (offer.id !== g.rep.id) return { skip: `variant of group ${offer.itemGroupId} collapsed into offer ${g.rep.id}`, changes };
+        delete offer.itemGroupId;
+        changes.push({ code:'VARIANT_GROUP_COLLAPSED', message: `represents ${g.size} variants` });
+        return { skip: '', changes };
+      }
+
+      const differing = (offer.variant || []).filter(attr => g.attributes.get(attr.name)?.values.size > 1);
+      offer.params = offer.params || [];
+      for (const attr of differing) {
+        if (offer.params.some(p => lower(p.name) === lower(attr.name))) continue;
+        offer.params.push({ ...attr });
+        changes.push({ code:'VARIANT_PARAM_ADDED', message: `param "${attr.name}" restored to distinguish the variant` });
+      }
+
+      if (g.names.get(lower(offer.name)) > 1) {
+        // значения, которые уже есть в названии, не повторяем
+        const suffix = differing.map(display).filter(v => !lower(offer.name).includes(lower(v)));
+        if (suffix.length) {
+          offer.name = `${offer.name}, ${suffix.join(', ')}`;
+          if (offer.model) offer.model = `${offer.model}, ${suffix.join(', ')}`;
+          changes.push({ code:'VARIANT_NAME_EXTENDED', message: `name extended with ${suffix.join(', ')}` });
+        }
+      }
+      return { skip: '', changes };
+    },
+  };
+}
+
+module.exports = { VARIANT_MODES, createVariantGroups };
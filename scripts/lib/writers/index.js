@@ -0,0 +1,20 @@
+/* scripts/lib/writers/index.js
+   Выходные форматы: writer = { header(catalog), offer(o), footer(catalog), rejects?(o) }.
+   header/footer получают сводку каталога после первого прохода, offer — по одному офферу.
+*/
+
+const { createYmlWriter } = require('./yml');
+const { createKaspiWriter } = require('./kaspi');
+
+const WRITERS = {
+  yml: createYmlWriter,
+  kaspi: createKaspiWriter,
+};
+
+function createWriter(format, options){
+  const factory = WRITERS[format];
+  if (!factory) throw new Error(`Unknown output format "${format}" (available: ${Object.keys(WRITERS).join(', ')})`);
+  return factory(options);
+}
+
+module.exports = { WRITERS, createWriter };
@@ -0,0 +1,66 @@
+/* scripts/lib/writers/kaspi.js
+   Прайс-лист Kaspi.kz (<kaspi_catalog>): наличие по точкам выдачи (storeId)
+   и цены по городам (cityId) либо одна общая <price>. Kaspi принимает только тенге.
+*/
+
+const { escapeXml } = require('../xml');
+
+function createKaspiWriter({ merchantId = '', company = '', stores = [], cities = [] } = {}){
+  if (!merchantId) throw new Error('Kaspi output requires KASPI_MERCHANT_ID');
+  if (!stores.length) throw new Error('Kaspi output requires at least one store id in KASPI_STORES');
+
+  return {
+    // '' — оффер подходит; иначе причина, по которой он не попадает в прайс
+    rejects(o){
+      if (o.currencyId !== 'KZT') return `price in ${o.currencyId}, Kaspi accepts KZT only (set CURRENCY_TARGET=KZT)`;
+      if (!o.name) return 'no name';
+      return '';
+    },
+
+    header(catalog){
+      const now = catalog.date.toISOString().replace('T',' ').replace(/\..+/, '');
+      let out = `<?xml version="1.0" encoding="utf-8"?>\n`;
+      out += `<kaspi_catalog date="${now}" xmlns="kaspiShopping" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="kaspiShopping http://kaspi.kz/kaspishopping.xsd">\n`;
+      out += `  <company>${escapeXml(company || catalog.shop.company)}</company>\n`;
+      out += `  <merchantid>${escapeXml(merchantId)}</merchantid>\n`;
+      out += `  <offers>\n`;
+      return out;
+    },
+
+    offer(o){
+      const available = o.availability === 'false' ? 'no' : 'yes';
+      const price = String(Math.round(Number(o.price)));
+      let out = `    <offer sku="${escapeXml(o.shopSku || o.id)}">\n`;
+      out += `      <model>${escapeXml(o.name)}</model>\n`;
+      if (o.brand) out += `      <brand>${escapeXml(o.brand)}</brand>\n`;
+      out += `      <availabilities>\n`;
+      // stockCount — только остаток именно этой точки из local inventory; общий <count> на точки не делится
+      for (const storeId of stores) {
+        const quantity = o.storeStock?.[storeId];
+        if (quantity == null) {
+          out += `        <availability available="${available}" storeId="${escapeXml(storeId)}"/>\n`;
+          continue;
+        }
+        const inStock = available === 'yes' && quantity > 0 ? 'yes' : 'no';
+        const stock = inStock === 'yes' ? ` stockCount="${quantity}"` : '';
+        out += `        <availability available="${inStock}" storeId="${escapeXml(storeId)}"${stock}/>\n`;
+      }
+      out += `      </availabilities>\n`;
+      if (cities.length) {
+        out += `      <cityprices>\n`;
+        for (const cityId of cities) out += `        <cityprice cityId="${escapeXml(cityId)}">${price}</cityprice>\n`;
+        out += `      </cityprices>\n`;
+      } else {
+        out += `      <price>${price}</price>\n`;
+      }
+      out += `    </offer>\n`;
+      return out;
+    },
+
+    footer(){
+      return `  </offers>\n</kaspi_catalog>\n`;
+    },
+  };
+}
+
+module.exports = { createKaspiWriter };
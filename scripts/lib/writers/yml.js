@@ -0,0 +1,131 @@
+/* scripts/lib/writers/yml.js
+   Yandex Market YML (<yml_catalog>).
+*/
+
+const { escapeXml } = require('../xml');
+const { formatLocal } = require('../sales');
+
+function renderOptions(tag, options, indent){
+  if (!options?.length) return '';
+  let out = `${indent}<${tag}>\n`;
+  for (const o of options) {
+    const orderBefore = o.orderBefore ? ` order-before="${o.orderBefore}"` : '';
+    out += `${indent}  <option cost="${o.cost}" days="${o.days}"${orderBefore}/>\n`;
+  }
+  return out + `${indent}</${tag}>\n`;
+}
+
+function createYmlWriter({ timezone = 'UTC' } = {}){
+  function renderPromos(promos){
+    if (!promos?.length) return '';
+    let out = `    <promos>\n`;
+    for (const p of promos) {
+      out += `      <promo id="${p.id}" type="flash discount">\n`;
+      out += `        <start-date>${formatLocal(p.start, timezone)}</start-date>\n`;
+      out += `        <end-date>${formatLocal(p.end, timezone)}</end-date>\n`;
+      out += `        <purchase>\n`;
+      for (const product of p.products) {
+        out += `          <product offer-id="${escapeXml(product.offerId)}">\n`;
+        out += `            <discount-price currency="${product.currency}">${escapeXml(product.price)}</discount-price>\n`;
+        out += `          </product>\n`;
+      }
+      out += `        </purchase>\n`;
+      out += `      </promo>\n`;
+    }
+    out += `    </promos>\n`;
+    return out;
+  }
+
+  return {
+    header(catalog){
+      const now = catalog.date.toISOString().replace('T',' ').replace(/\..+/, '');
+      let out = `<?xml version="1.0" encoding="UTF-8"?>\n`;
+      out += `<yml_catalog date="${now}">\n  <shop>\n`;
+      out += `    <name>${escapeXml(catalog.shop.name)}</name>\n`;
+      out += `    <company>${escapeXml(catalog.shop.company)}</company>\n`;
+      out += `    <url>${escapeXml(catalog.shop.url)}</url>\n`;
+      out += `    <currencies>\n`;
+      for (const c of catalog.currencies) {
+        const plus = c.plus ? ` plus="${c.plus}"` : '';
+        out += `      <currency id="${c.id}" rate="${escapeXml(c.rate)}"${plus}/>\n`;
+      }
+      out += `    </currencies>\n`;
+      out += `    <categories>\n`;
+      for (const c of catalog.categories) {
+        const parent = c.parentId ? ` parentId="${c.parentId}"` : '';
+        out += `      <category id="${c.id}"${parent}>${escapeXml(c.name)}</category>\n`;
+      }
+      out += `    </categories>\n`;
+      out += renderOptions('delivery-options', catalog.delivery, '    ');
+      out += renderOptions('pickup-options', catalog.pickup, '    ');
+      out += `    <offers>\n`;
+      return out;
+    },
+
+    offer(o){
+      const attr = [`id="${escapeXml(o.id)}"`,`available="${o.availability}"`];
+      if (o.itemGroupId) attr.push(`group_id="${escapeXml(o.itemGroupId)}"`);
+      if (o.offerType === 'vendor.model' && o.brand && o.model) attr.push(`type="vendor.model"`);
+
+      let out = `      <offer ${attr.join(' ')}>\n`;
+      if (o.url)      out += `        <url>${escapeXml(o.url)}</url>\n`;
+      if (o.price)    out += `        <price>${escapeXml(o.price)}</price>\n`;
+      if (o.oldprice) out += `        <oldprice>${escapeXml(o.oldprice)}</oldprice>\n`;
+      out += `        <currencyId>${o.currencyId}</currencyId>\n`;
+      out += `        <categoryId>${o.categoryId}</categoryId>\n`;
+      for (const pic of o.pictures || []) out += `        <picture>${escapeXml(pic)}</picture>\n`;
+      if (o.store != null) out += `        <store>${o.store ? 'true' : 'false'}</store>\n`;
+      if (o.outlets?.length) {
+        out += `        <outlets>\n`;
+        for (const outlet of o.outlets) {
+          const instock = outlet.instock != null ? ` instock="${outlet.instock}"` : '';
+          out += `          <outlet id="${escapeXml(outlet.id)}"${instock}/>\n`;
+        }
+        out += `        </outlets>\n`;
+      }
+
+      if (o.brand)   out += `        <vendor>${escapeXml(o.brand)}</vendor>\n`;
+      if (o.mpn)     out += `        <vendorCode>${escapeXml(o.mpn)}</vendorCode>\n`;
+      if (o.gtin)    out += `        <barcode>${escapeXml(o.gtin)}</barcode>\n`;
+      if (o.shopSku) out += `        <shop-sku>${escapeXml(o.shopSku)}</shop-sku>\n`;
+      if (o.offerType === 'vendor.model' && o.brand && o.model) {
+        if (o.typePrefix) out += `        <typePrefix>${escapeXml(o.typePrefix)}</typePrefix>\n`;
+        out += `        <model>${escapeXml(o.model)}</model>\n`;
+      }
+      if (o.name)         out += `        <name>${escapeXml(o.name)}</name>\n`;
+      if (o.description) {
+        // санитайзер экранирует текст, так что "]]>" внутри не встретится
+        const body = o.descriptionHtml ? `<![CDATA[${o.description}]]>` : escapeXml(o.description);
+        out += `        <description>${body}</description>\n`;
+      }
+      if (o.condition?.type && o.condition?.quality) {
+        out += `        <condition type="${escapeXml(o.condition.type)}">\n`;
+        out += `          <quality>${escapeXml(o.condition.quality)}</quality>\n`;
+        out += `        </condition>\n`;
+      }
+      if (o.salesNotes)  out += `        <sales_notes>${escapeXml(o.salesNotes)}</sales_notes>\n`;
+      if (o.minQuantity) out += `        <min-quantity>${o.minQuantity}</min-quantity>\n`;
+      if (o.warranty)    out += `        <manufacturer_warranty>${o.warranty}</manufacturer_warranty>\n`;
+      if (o.adult)       out += `        <adult>true</adult>\n`;
+      if (o.weight)      out += `        <weight>${o.weight}</weight>\n`;
+      if (o.dimensions)  out += `        <dimensions>${o.dimensions}</dimensions>\n`;
+      if (o.count != null) out += `        <count>${o.count}</count>\n`;
+      if (o.params?.length) {
+        for (const p of o.params) {
+          const unit = p.unit ? ` unit="${escapeXml(p.unit)}"` : '';
+          out += `        <param name="${escapeXml(p.name)}"${unit}>${escapeXml(p.value)}</param>\n`;
+        }
+      }
+      out += renderOptions('delivery-options', o.delivery, '        ');
+      out += renderOptions('pickup-options', o.pickup, '        ');
+      out += `      </offer>\n`;
+      return out;
+    },
+
+    footer(catalog){
+      return `    </offers>\n${renderPromos(catalog.promos)}  </shop>\n</yml_catalog>\n`;
+    },
+  };
+}
+
+module.exports = { createYmlWriter };
@@ -0,0 +1,9 @@
+/* scripts/lib/xml.js */
+
+function escapeXml(str='') {
+  return String(str).replace(/[<>&'"]/g, c =>
+    ({'<':'&lt;','>':'&gt;','&':'&amp;',"'":'&apos;','"':'&quot;'}[c])
+  );
+}
+
+module.exports = { escapeXml };
@@ -0,0 +1,169 @@
+/* scripts/lib/yml-validator.js
+   Проверки YML по правилам Яндекс.Маркета. Записи (<currency>, <category>, <offer>,
+   поля <shop>) подаются по одной в порядке документа, итог — finish().
+   Каждая проблема: { level: 'error'|'warning', code, message, offerId? }.
+*/
+
+const NAME_MAX = 150;
+const DESCRIPTION_MAX = 3000;
+const PICTURES_MAX = 10;
+const OFFER_ID_MAX = 20;
+const SALES_NOTES_MAX = 50;
+
+const one = v => Array.isArray(v) ? v[0] : v;
+const asArray = x => Array.isArray(x) ? x : (x == null || x === '' ? [] : [x]);
+const textOf = v => { const x = one(v); return String(x && typeof x === 'object' ? (x._ || '') : (x ?? '')).trim(); };
+const isHttpUrl = u => { try { return /^https?:$/.test(new URL(u).protocol); } catch { return false; } };
+
+// контрольная цифра GTIN-8/12/13/14 (EAN/UPC)
+function isValidGtin(code){
+  const digits = String(code).trim();
+  if (!/^(\d{8}|\d{12}|\d{13}|\d{14})$/.test(digits)) return false;
+  let sum = 0;
+  for (let i = digits.length - 2, weight = 3; i >= 0; i--, weight = weight === 3 ? 1 : 3) sum += Number(digits[i]) * weight;
+  return (10 - (sum % 10)) % 10 === Number(digits[digits.length - 1]);
+}
+
+function createYmlValidator(){
+  const issues = [];
+  const shop = {};
+  const currencies = new Set();
+  const categories = new Map();
+  const offerIds = new Set();
+  const shopSkus = new Map();
+  const offersWithIssues = new Set();
+  let offers = 0;
+
+  const feedIssue = (level, code, message) => issues.push({ level, code, message });
+
+  function checkOffer(o){
+    const id = String(o.id || '').trim();
+    const found = [];
+    const add = (level, code, message) => found.push({ level, code, message, offerId: id });
+
+    if (!id) add('error', 'ID_MISSING', 'offer has no id');
+    else {
+      if (offerIds.has(id)) add('error', 'ID_DUPLICATE', `offer id "${id}" is used more than once`);
+      offerIds.add(id);
+      if (id.length > OFFER_ID_MAX || !/^[A-Za-z0-9._-]+$/.test(id)) {
+        add('warning', 'ID_FORMAT', `offer id should be up to ${OFFER_ID_MAX} latin letters and digits`);
+      }
+    }
+    if (o.available != null && o.available !== 'true' && o.available !== 'false') {
+      add('error', 'AVAILABLE_INVALID', `available="${o.available}" must be true or false`);
+    }
+
+    const url = textOf(o.url);
+    if (!url) add('error', 'URL_MISSING', 'no <url>');
+    else if (!isHttpUrl(url)) add('error', 'URL_INVALID', `<url> is not an http(s) URL: ${url}`);
+
+    const price = textOf(o.price);
+    const priceNum = Number(price);
+    if (!price) add('error', 'PRICE_MISSING', 'no <price>');
+    else if (!(priceNum > 0)) add('error', 'PRICE_INVALID', `<price> must be a positive number, got "${price}"`);
+    const oldprice = textOf(o.oldprice);
+    if (oldprice && priceNum > 0) {
+      const oldNum = Number(oldprice);
+      if (!(oldNum > priceNum)) add('error', 'OLDPRICE_NOT_HIGHER', `<oldprice> ${oldprice} is not higher than <price> ${price}`);
+      else {
+        const discount = (oldNum - priceNum) / oldNum * 100;
+        if (discount < 5 || discount > 95) add('warning', 'DISCOUNT_RANGE', `discount ${discount.toFixed(1)}% is outside 5–95%, Yandex ignores <oldprice>`);
+      }
+    }
+
+    const currencyId = textOf(o.currencyId);
+    if (!currencyId) add('error', 'CURRENCY_MISSING', 'no <currencyId>');
+    else if (!currencies.has(currencyId)) add('error', 'CURRENCY_UNKNOWN', `<currencyId> ${currencyId} is not declared in <currencies>`);
+
+    const categoryId = textOf(o.categoryId);
+    if (!categoryId) add('error', 'CATEGORY_MISSING', 'no <categoryId>');
+    else if (!categories.has(categoryId)) add('error', 'CATEGORY_UNKNOWN', `<categoryId> ${categoryId} is not declared in <categories>`);
+
+    const name = textOf(o.name);
+    const isVendorModel = o.type === 'vendor.model' && textOf(o.model);
+    if (!name && !isVendorModel) add('error', 'NAME_MISSING', 'no <name>');
+    if (name.length > NAME_MAX) add('error', 'NAME_TOO_LONG', `<name> is ${name.length} chars (max ${NAME_MAX})`);
+    if (!textOf(o.vendor)) add('warning', 'VENDOR_MISSING', 'no <vendor>');
+
+    const description = textOf(o.description);
+    if (description.length > DESCRIPTION_MAX) add('error', 'DESCRIPTION_TOO_LONG', `<description> is ${description.length} chars (max ${DESCRIPTION_MAX})`);
+
+    const pictures = asArray(o.picture).map(textOf);
+    if (!pictures.length) add('warning', 'PICTURE_MISSING', 'no <picture>');
+    if (pictures.length > PICTURES_MAX) add('warning', 'PICTURES_TOO_MANY', `${pictures.length} pictures, Yandex uses at most ${PICTURES_MAX}`);
+    for (const pic of pictures) {
+      if (!isHttpUrl(pic)) add('error', 'PICTURE_INVALID', `<picture> is not an http(s) URL: ${pic}`);
+    }
+
+    for (const barcode of asArray(o.barcode).map(textOf)) {
+      if (!isValidGtin(barcode)) add('error', 'BARCODE_INVALID', `<barcode> ${barcode} is not a valid GTIN (length or check digit)`);
+    }
+
+    const weight = textOf(o.weight);
+    if (weight && !(Number(weight) > 0)) add('error', 'WEIGHT_INVALID', `<weight> must be a positive number of kg, got "${weight}"`);
+    const dimensions = textOf(o.dimensions);
+    if (dimensions && !/^\d+(?:\.\d+)?\/\d+(?:\.\d+)?\/\d+(?:\.\d+)?$/.test(dimensions)) {
+      add('error', 'DIMENSIONS_INVALID', `<dimensions> must be "length/width/height" in cm, got "${dimensions}"`);
+    }
+    const salesNotes = textOf(o.sales_notes);
+    if (salesNotes.length > SALES_NOTES_MAX) add('error', 'SALES_NOTES_TOO_LONG', `<sales_notes> is ${salesNotes.length} chars (max ${SALES_NOTES_MAX})`);
+
+    const shopSku = textOf(o['shop-sku']);
+    if (shopSku) {
+      const holder = shopSkus.get(shopSku);
+      if (holder != null) add('error', 'SHOP_SKU_DUPLICATE', `<shop-sku> ${shopSku} is also used by offer ${holder}`);
+      else shopSkus.set(shopSku, id);
+    }
+    return found;
+  }
+
+  return {
+    record({ tag, value }){
+      if (tag === 'currency') currencies.add(String(value.id || '').trim());
+      else if (tag === 'category') categories.set(String(value.id || '').trim(), String(value.parentId || '').trim());
+      else if (tag === 'offer') {
+        offers += 1;
+        const found = checkOffer(value);
+        if (found.length) offersWithIssues.add(found[0].offerId);
+        issues.push(...found);
+        return found;
+      } else shop[tag] = textOf(value);
+      return [];
+    },
+
+    finish(){
+      for (const field of ['name', 'company', 'url']) {
+        if (!shop[field]) feedIssue('error', 'SHOP_FIELD_MISSING', `<shop> has no <${field}>`);
+      }
+      if (shop.url && !isHttpUrl(shop.url)) feedIssue('error', 'SHOP_URL_INVALID', `<shop><url> is not an http(s) URL`);
+      if (!currencies.size) feedIssue('error', 'CURRENCIES_MISSING', 'no <currencies>');
+      if (!categories.size) feedIssue('error', 'CATEGORIES_MISSING', 'no <categories>');
+      for (const [id, parentId] of categories) {
+        if (!/^\d{1,18}$/.test(id)) feedIssue('error', 'CATEGORY_ID_INVALID', `category id "${id}" must be a positive integer up to 18 digits`);
+        if (parentId && !categories.has(parentId)) feedIssue('error', 'CATEGORY_PARENT_UNKNOWN', `category ${id} refers to unknown parentId ${parentId}`);
+      }
+      if (!offers) feedIssue('error', 'OFFERS_MISSING', 'no <offer> elements');
+
+      const count = level => issues.filter(i => i.level === level).length;
+      return {
+        offers,
+        offersWithIssues: offersWithIssues.size,
+        errors: count('error'),
+        // ошибки документа целиком (магазин, валюты, категории) — в errors тоже
+        feedErrors: issues.filter(i => i.level === 'error' && i.offerId === undefined).length,
+        warnings: count('warning'),
+        issues,
+      };
+    },
+  };
+}
+
+// корень <yml_catalog>, поля магазина и записи внутри <currencies>, <categories>, <offers>
+const YML_ROOTS = {
+  yml_catalog: {
+    format: 'yml',
+    records: { name:2, company:2, url:2, currency:3, category:3, offer:3 },
+  },
+};
+
+module.exports = { createYmlValidator, isValidGtin, YML_ROOTS };
@@ -5,23 +5,47 @@ const fs = require('fs');
 const path = require('path');
 const fetch = require('node-fetch');
 const sharp = require('sharp');
-const { S3Client, HeadObjectCommand, PutObjectCommand } = require('@aws-sdk/client-s3');
-
-const {
-  CF_ACCOUNT_ID,
-  CF_R2_ACCESS_KEY_ID,
-  CF_R2_SECRET_ACCESS_KEY,
-  R2_BUCKET,
-  R2_PUBLIC_BASE,
-} = process.env;
+const { storageFromEnv } = require('./lib/image-storage');
+const { IMAGE_PREFIX, HISTORY_PREFIX, historyKey, referencedKeys, findOrphans, formatBytes } = require('./lib/image-gc');
+const { parseArgs } = require('./lib/cli');
+const { createHostScheduler, parseRetryAfter } = require('./lib/host-scheduler');
+const { perceptualHash, parsePlaceholderHashes, inspectImage, checkImage, createVisualIndex } = require('./lib/image-quality');
 
 const CONCURRENCY = Math.max(1, Number(process.env.R2_CONCURRENCY) || 4);
 const MAX_FETCH_ATTEMPTS = Math.max(1, Number(process.env.R2_FETCH_ATTEMPTS) || 3);
+// Очередь по хостам: не больше IMAGE_HOST_CONCURRENCY запросов к одному хосту и IMAGE_HOST_RATE запусков в секунду (0 — без ограничения)
+const HOST_CONCURRENCY = Math.max(1, Number(process.env.IMAGE_HOST_CONCURRENCY) || CONCURRENCY);
+const HOST_RATE = Number(process.env.IMAGE_HOST_RATE) || 0;
+// Таймаут одного запроса вместе с телом; бюджет всего запуска (0 — без ограничения): что не успели — в следующий раз
+const FETCH_TIMEOUT_MS = Number(process.env.IMAGE_FETCH_TIMEOUT_MS) || 30000;
+const RUN_BUDGET_MS = Number(process.env.IMAGE_SYNC_BUDGET_MS) || 0;
+// Retry-After дольше этого не ждём
+const RETRY_AFTER_MAX_MS = Number(process.env.IMAGE_RETRY_AFTER_MAX_MS) || 60000;
 
 const IMAGES_LIST_PATH = path.resolve('images.json');
 const LOCAL_R2_MANIFEST_PATH = path.resolve('public/manifest-r2.json');
 const LOCAL_IMAGE_MANIFEST_PATH = path.resolve('public/images-manifest.json');
-const R2_MANIFEST_KEY = 'manifests/images-manifest.json';
+const MANIFEST_KEY = 'manifests/images-manifest.json';
+const IMMUTABLE_CACHE = 'public, max-age=31536000, immutable';
+
+// Проверка картинок: drop — не выгружать непрошедшие, flag — выгружать, но отметить в манифесте
+const QUALITY_MODE = process.env.IMAGE_QUALITY_MODE || 'drop';
+if (!['drop', 'flag'].includes(QUALITY_MODE)) throw new Error(`Invalid IMAGE_QUALITY_MODE "${QUALITY_MODE}": expected drop or flag`);
+const PLACEHOLDERS_FILE = 'data/image-placeholders.txt';
+const QUALITY = {
+  minSize: Number(process.env.IMAGE_MIN_SIZE) || 250,
+  placeholders: parsePlaceholderHashes(process.env.IMAGE_PLACEHOLDERS || (fs.existsSync(PLACEHOLDERS_FILE) ? PLACEHOLDERS_FILE : '')),
+  maxDistance: Number(process.env.IMAGE_PLACEHOLDER_DISTANCE ?? 6),
+  blankStdev: Number(process.env.IMAGE_BLANK_STDEV ?? 3),
+};
+// на сколько бит (из 256) могут отличаться отпечатки визуальных дублей; больше 7 индекс не найдёт
+const DEDUPE_DISTANCE = Math.min(7, Number(process.env.IMAGE_DEDUPE_DISTANCE ?? 4));
+
+// Дополнительные форматы рядом с основной картинкой: IMAGE_VARIANTS="webp,avif"
+const VARIANT_FORMATS = String(process.env.IMAGE_VARIANTS || '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+for (const format of VARIANT_FORMATS) {
+  if (!['webp', 'avif'].includes(format)) throw new Error(`Unsupported image variant "${format}": expected webp or avif`);
+}
 
 const MIME_TO_EXT = new Map([
   ['image/jpeg', 'jpg'],
@@ -32,11 +56,6 @@ const MIME_TO_EXT = new Map([
 ]);
 const SUPPORTED_MIME = new Set(MIME_TO_EXT.keys());
 
-function assertEnv(name, value) {
-  if (!value) throw new Error(`Missing required environment variable: ${name}`);
-  return value;
-}
-
 async function readJsonSafe(filePath, fallback) {
   try {
     const data = await fs.promises.readFile(filePath, 'utf8');
@@ -49,6 +68,13 @@ async function readJsonSafe(filePath, fallback) {
 
 const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
 
+// счётчики хоста заводятся по мере надобности
+const bump = (counters, name, by = 1) => { counters[name] = (counters[name] || 0) + by; };
+
+function hostOf(url) {
+  try { return new URL(url).host || 'local'; } catch { return 'invalid'; }
+}
+
 function normaliseMime(mime) {
   if (!mime) return 'image/jpeg';
   const clean = mime.split(';')[0].trim().toLowerCase();
@@ -60,7 +86,8 @@ async function resizeBuffer(inputBuffer, mime) {
   const targetMime = SUPPORTED_MIME.has(mime) ? mime : 'image/jpeg';
   const ext = MIME_TO_EXT.get(targetMime) || 'jpg';
   const image = sharp(inputBuffer, { animated: targetMime === 'image/gif' });
-  const pipeline = image.resize({ width: 1600, withoutEnlargement: true, fit: 'inside' });
+  // CMYK и прочие пространства Маркет не показывает — всегда отдаём sRGB
+  const pipeline = image.resize({ width: 1600, withoutEnlargement: true, fit: 'inside' }).toColourspace('srgb');
 
   switch (ext) {
     case 'png':
@@ -74,34 +101,42 @@ async function resizeBuffer(inputBuffer, mime) {
   }
 }
 
-async function headR2(s3, key) {
+async function encodeVariant(buffer, format) {
+  const image = sharp(buffer);
+  if (format === 'avif') return { buffer: await image.avif({ quality: 50 }).toBuffer(), mime: 'image/avif' };
+  return { buffer: await image.webp({ quality: 80 }).toBuffer(), mime: 'image/webp' };
+}
+
+// ключ — sha1 содержимого; уже загруженный объект второй раз не пишем
+async function storeObject(storage, buffer, ext, mime, stats) {
+  const sha1 = crypto.createHash('sha1').update(buffer).digest('hex');
+  const key = `img/${sha1}.${ext}`;
+
+  let exists = false;
   try {
-    await s3.send(new HeadObjectCommand({ Bucket: R2_BUCKET, Key: key }));
-    return true;
+    exists = await storage.head(key);
   } catch (err) {
-    if (err.$metadata?.httpStatusCode === 404 || err.name === 'NotFound') return false;
-    throw err;
+    throw new Error(`HEAD failed: ${err.message}`);
   }
-}
 
-async function putR2(s3, key, body, contentType) {
-  await s3.send(new PutObjectCommand({
-    Bucket: R2_BUCKET,
-    Key: key,
-    Body: body,
-    ContentType: contentType,
-    CacheControl: 'public, max-age=31536000, immutable',
-  }));
+  if (!exists) {
+    try {
+      await storage.put(key, buffer, { contentType: mime, cacheControl: IMMUTABLE_CACHE });
+      stats.uploaded += 1;
+    } catch (err) {
+      throw new Error(`Upload failed: ${err.message}`);
+    }
+  } else {
+    stats.reusedExisting += 1;
+  }
+  return key;
 }
 
-async function putManifestToR2(s3, manifestString) {
-  await s3.send(new PutObjectCommand({
-    Bucket: R2_BUCKET,
-    Key: R2_MANIFEST_KEY,
-    Body: Buffer.from(manifestString),
-    ContentType: 'application/json',
-    CacheControl: 'no-cache',
-  }));
+// рядом с текущим манифестом — снимок в истории: по последним снимкам gc понимает, какие картинки ещё нужны
+async function putManifest(storage, manifestString) {
+  const meta = { contentType: 'application/json', cacheControl: 'no-cache' };
+  await storage.put(historyKey(), Buffer.from(manifestString), meta);
+  await storage.put(MANIFEST_KEY, Buffer.from(manifestString), meta);
 }
 
 function sortObjectDeep(value) {
@@ -115,116 +150,201 @@ function sortObjectDeep(value) {
   return value;
 }
 
+function budgetError() {
+  const err = new Error('run time budget exhausted');
+  err.budget = true;
+  return err;
+}
+
+// отмена по таймауту — понятным текстом и с признаком для статистики хоста
+function attemptError(err) {
+  if (err.name !== 'AbortError') return err;
+  const error = new Error(`timed out after ${FETCH_TIMEOUT_MS} ms`);
+  error.timeout = true;
+  return error;
+}
+
+/* Одна попытка: запрос, проверка, ресайз, загрузка. Возвращает запись манифеста
+   или null, если 304 пришёл на запись, которую нечем переиспользовать */
+async function fetchImage(srcUrl, prevMeta, conditional, context) {
+  const { visualIndex, storage, stats, deadline } = context;
+  const host = hostOf(srcUrl);
+  const hostStats = context.scheduler.stats(host);
+  const remaining = deadline - Date.now();
+  if (remaining <= 0) throw budgetError();
+
+  const headers = {};
+  if (conditional) {
+    if (prevMeta.etag) headers['If-None-Match'] = prevMeta.etag;
+    if (prevMeta.lastModified) headers['If-Modified-Since'] = prevMeta.lastModified;
+  }
+
+  // таймаут покрывает и чтение тела: зависший CDN не держит слот дольше FETCH_TIMEOUT_MS
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), Math.min(FETCH_TIMEOUT_MS, remaining));
+  let sourceBuffer;
+  let response;
+  bump(hostStats, 'requests');
+  try {
+    response = await fetch(srcUrl, { headers, redirect: 'follow', signal: controller.signal });
+    if (response.status === 304) {
+      bump(hostStats, 'notModified');
+      if (!prevMeta.r2Key && !prevMeta.rejected) return null;
+      stats.reused304 += 1;
+      return { ...prevMeta };
+    }
+    if (!response.ok) {
+      const err = new Error(`HTTP ${response.status}`);
+      if (response.status === 429 || response.status === 503) {
+        bump(hostStats, 'throttled');
+        err.retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+      }
+      throw err;
+    }
+    sourceBuffer = Buffer.from(await response.arrayBuffer());
+  } catch (err) {
+    // запрос оборвал конец бюджета, а не таймаут: адрес откладывается, а не пропускается
+    if (err.name === 'AbortError' && Date.now() >= deadline) throw budgetError();
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+  bump(hostStats, 'bytes', sourceBuffer.length);
+
+  const etag = response.headers.get('etag') || undefined;
+  const lastModified = response.headers.get('last-modified') || undefined;
+  const contentType = normaliseMime(response.headers.get('content-type'));
+
+  const info = await inspectImage(sourceBuffer);
+  const reasons = checkImage(info, QUALITY);
+  if (reasons.length && QUALITY_MODE === 'drop') {
+    return { etag, lastModified, fingerprint: info.fingerprint, rejected: reasons };
+  }
+  const flags = info.space === 'cmyk' ? [...reasons, 'CMYK_CONVERTED'] : reasons;
+  const extra = flags.length ? { issues: flags } : {};
+
+  // та же картинка с другого адреса (или пережатая CDN) — берём уже загруженную
+  const twin = visualIndex.get(info.fingerprint);
+  if (twin) {
+    stats.reusedVisual += 1;
+    return { etag, lastModified, fingerprint: info.fingerprint, r2Key: twin.r2Key, mime: twin.mime, variants: twin.variants, ...extra };
+  }
+
+  const processed = await resizeBuffer(sourceBuffer, contentType);
+  const key = await storeObject(storage, processed.buffer, processed.ext, processed.mime, stats);
+  let variants;
+  for (const format of VARIANT_FORMATS) {
+    if (format === processed.ext) continue;
+    const variant = await encodeVariant(processed.buffer, format);
+    variants = { ...variants, [format]: await storeObject(storage, variant.buffer, format, variant.mime, stats) };
+  }
+
+  const meta = { etag, lastModified, r2Key: key, mime: processed.mime, fingerprint: info.fingerprint, variants, ...extra };
+  visualIndex.set(info.fingerprint, meta);
+  return meta;
+}
+
+/* Запись манифеста для адреса: попытки идут через очередь хоста, между попытками —
+   пауза (Retry-After или экспоненциальная). Не хватило бюджета запуска — прежняя запись */
+async function processUrl(srcUrl, context) {
+  const { previousManifest, nextManifest, scheduler, stats } = context;
+  const host = hostOf(srcUrl);
+  const hostStats = scheduler.stats(host);
+  const prevMeta = previousManifest[srcUrl] || {};
+  // записи без fingerprint сделаны до проверки качества: такие картинки скачиваем заново
+  let conditional = Boolean(prevMeta.fingerprint && (prevMeta.etag || prevMeta.lastModified));
+  let lastError = null;
+
+  for (let attempt = 1; attempt <= MAX_FETCH_ATTEMPTS; attempt++) {
+    try {
+      const meta = await scheduler.run(host, () => fetchImage(srcUrl, prevMeta, conditional, context));
+      if (meta) {
+        bump(hostStats, 'ok');
+        nextManifest[srcUrl] = meta;
+        return meta;
+      }
+      // 304 на запись без ключа: повторяем без условных заголовков, попыткой это не считаем
+      if (!conditional) throw new Error('HTTP 304 without conditional headers');
+      conditional = false;
+      attempt -= 1;
+    } catch (err) {
+      lastError = attemptError(err);
+      if (lastError.budget) break;
+      if (lastError.timeout) bump(hostStats, 'timeouts');
+      if (attempt >= MAX_FETCH_ATTEMPTS) break;
+      conditional = false;
+      if (lastError.retryAfter != null) {
+        // хост попросил подождать — придерживаем всю его очередь, а не только этот адрес
+        scheduler.pause(host, Math.min(lastError.retryAfter, RETRY_AFTER_MAX_MS));
+      } else {
+        await sleep(200 * Math.pow(2, attempt - 1));
+      }
+    }
+  }
+
+  if (lastError.budget) {
+    // до адреса не дошла очередь: оставляем прежнюю запись, проверим в следующий запуск
+    stats.deferred += 1;
+    if (!prevMeta.r2Key && !prevMeta.rejected) return null;
+    nextManifest[srcUrl] = { ...prevMeta };
+    return nextManifest[srcUrl];
+  }
+  bump(hostStats, 'failed');
+  stats.skipped += 1;
+  console.warn(`Skip ${srcUrl}: ${lastError.message}`);
+  return null;
+}
+
+/* Адреса оффера из записей манифеста. Каждый адрес обрабатывается один раз
+   за запуск: inFlight хранит обещание, общее для всех офферов с этой картинкой */
 async function processOffer(entry, context) {
-  const { publicBase, previousManifest, nextManifest, s3, stats } = context;
+  const { publicBase, inFlight, stats } = context;
   const { offerId, urls } = entry || {};
   if (!offerId || !Array.isArray(urls) || !urls.length) return null;
 
   const uniqueUrls = Array.from(new Set(urls.map(u => String(u).trim()).filter(Boolean)));
   if (!uniqueUrls.length) return null;
 
-  const resolvedUrls = [];
+  const metas = await Promise.all(uniqueUrls.map(srcUrl => {
+    if (!inFlight.has(srcUrl)) inFlight.set(srcUrl, processUrl(srcUrl, context));
+    return inFlight.get(srcUrl);
+  }));
 
-  for (const srcUrl of uniqueUrls) {
-    if (nextManifest[srcUrl]?.r2Key) {
-      resolvedUrls.push(`${publicBase}/${nextManifest[srcUrl].r2Key}`);
-      continue;
+  const resolvedUrls = [];
+  const variantUrls = {};
+  const issues = [];
+  // запись манифеста -> адреса оффера; отклонённые картинки попадают только в issues
+  uniqueUrls.forEach((srcUrl, i) => {
+    const meta = metas[i];
+    if (!meta) return;
+    if (meta.rejected) {
+      stats.rejected += 1;
+      issues.push({ src: srcUrl, reasons: meta.rejected });
+      return;
     }
-
-    const prevMeta = nextManifest[srcUrl] || previousManifest[srcUrl] || {};
-    let attempt = 0;
-    let lastError = null;
-    let conditional = Boolean(prevMeta.etag || prevMeta.lastModified);
-
-    while (attempt < MAX_FETCH_ATTEMPTS) {
-      attempt += 1;
-      lastError = null;
-      try {
-        const headers = {};
-        if (conditional) {
-          if (prevMeta.etag) headers['If-None-Match'] = prevMeta.etag;
-          if (prevMeta.lastModified) headers['If-Modified-Since'] = prevMeta.lastModified;
-        }
-
-        const response = await fetch(srcUrl, { headers, redirect: 'follow' });
-
-        if (response.status === 304) {
-          if (prevMeta.r2Key) {
-            stats.reused304 += 1;
-            resolvedUrls.push(`${publicBase}/${prevMeta.r2Key}`);
-            nextManifest[srcUrl] = { ...prevMeta };
-            break;
-          }
-          conditional = false;
-          continue;
-        }
-
-        if (!response.ok) {
-          throw new Error(`HTTP ${response.status}`);
-        }
-
-        const etag = response.headers.get('etag') || undefined;
-        const lastModified = response.headers.get('last-modified') || undefined;
-        const contentType = normaliseMime(response.headers.get('content-type'));
-        const arrayBuffer = await response.arrayBuffer();
-        const sourceBuffer = Buffer.from(arrayBuffer);
-
-        const processed = await resizeBuffer(sourceBuffer, contentType);
-        const sha1 = crypto.createHash('sha1').update(processed.buffer).digest('hex');
-        const key = `img/${sha1}.${processed.ext}`;
-
-        let exists = false;
-        try {
-          exists = await headR2(s3, key);
-        } catch (err) {
-          throw new Error(`HEAD failed: ${err.message}`);
-        }
-
-        if (!exists) {
-          try {
-            await putR2(s3, key, processed.buffer, processed.mime);
-            stats.uploaded += 1;
-          } catch (err) {
-            throw new Error(`Upload failed: ${err.message}`);
-          }
-        } else {
-          stats.reusedExisting += 1;
-        }
-
-        resolvedUrls.push(`${publicBase}/${key}`);
-        nextManifest[srcUrl] = {
-          etag,
-          lastModified,
-          r2Key: key,
-          mime: processed.mime,
-        };
-        break;
-      } catch (err) {
-        lastError = err;
-        if (attempt >= MAX_FETCH_ATTEMPTS) break;
-        await sleep(200 * Math.pow(2, attempt - 1));
-        conditional = false;
-      }
+    resolvedUrls.push(`${publicBase}/${meta.r2Key}`);
+    for (const [format, key] of Object.entries(meta.variants || {})) {
+      (variantUrls[format] = variantUrls[format] || []).push(`${publicBase}/${key}`);
     }
-
-    if (lastError) {
-      stats.skipped += 1;
-      console.warn(`Skip ${srcUrl}: ${lastError.message}`);
+    if (meta.issues?.length) {
+      stats.flagged += 1;
+      issues.push({ src: srcUrl, reasons: meta.issues });
     }
-  }
+  });
 
-  if (resolvedUrls.length) {
-    return { offerId, urls: resolvedUrls };
+  // пустой urls при непустом issues — все картинки оффера отклонены проверкой
+  if (resolvedUrls.length || issues.length) {
+    const result = { offerId, urls: resolvedUrls };
+    if (Object.keys(variantUrls).length) result.variants = variantUrls;
+    if (issues.length) result.issues = issues;
+    return result;
   }
   return null;
 }
 
 async function main() {
-  assertEnv('CF_ACCOUNT_ID', CF_ACCOUNT_ID);
-  assertEnv('CF_R2_ACCESS_KEY_ID', CF_R2_ACCESS_KEY_ID);
-  assertEnv('CF_R2_SECRET_ACCESS_KEY', CF_R2_SECRET_ACCESS_KEY);
-  assertEnv('R2_BUCKET', R2_BUCKET);
-  const publicBase = assertEnv('R2_PUBLIC_BASE', R2_PUBLIC_BASE).replace(/\/+$/, '');
+  const storage = storageFromEnv(process.env);
+  const { publicBase } = storage;
 
   if (!fs.existsSync(IMAGES_LIST_PATH)) {
     throw new Error(`images list not found: ${IMAGES_LIST_PATH}`);
@@ -243,48 +363,44 @@ async function main() {
 
   const previousManifest = await readJsonSafe(LOCAL_IMAGE_MANIFEST_PATH, {});
   const nextManifest = {};
+  // отпечаток -> запись манифеста: визуально одинаковые картинки загружаются один раз
+  const visualIndex = createVisualIndex({ maxDistance: DEDUPE_DISTANCE });
+  for (const meta of Object.values(previousManifest)) {
+    if (meta?.fingerprint && meta.r2Key && !visualIndex.get(meta.fingerprint)) visualIndex.set(meta.fingerprint, meta);
+  }
 
-  const s3 = new S3Client({
-    region: 'auto',
-    endpoint: `https://${CF_ACCOUNT_ID}.r2.cloudflarestorage.com`,
-    credentials: {
-      accessKeyId: CF_R2_ACCESS_KEY_ID,
-      secretAccessKey: CF_R2_SECRET_ACCESS_KEY,
-    },
-  });
-
-  const stats = { uploaded: 0, reused304: 0, reusedExisting: 0, skipped: 0 };
+  const stats = { uploaded: 0, reused304: 0, reusedExisting: 0, reusedVisual: 0, rejected: 0, flagged: 0, skipped: 0, deferred: 0 };
   const offerResults = [];
-
-  let index = 0;
-  const workerCount = Math.min(CONCURRENCY, imagesList.length);
-  const workers = Array.from({ length: workerCount }, async () => {
-    while (true) {
-      const current = index++;
-      if (current >= imagesList.length) break;
-      const offer = imagesList[current];
-      try {
-        const result = await processOffer(offer, {
-          publicBase,
-          previousManifest,
-          nextManifest,
-          s3,
-          stats,
-        });
-        if (result) offerResults.push(result);
-      } catch (err) {
-        stats.skipped += 1;
-        console.warn(`Offer ${offer?.offerId || 'unknown'} failed: ${err.message}`);
-      }
+  // работа делится по адресам, а не по офферам: параллельность и паузы задаёт очередь хостов
+  const scheduler = createHostScheduler({ concurrency: CONCURRENCY, perHost: HOST_CONCURRENCY, rate: HOST_RATE });
+  const context = {
+    publicBase,
+    previousManifest,
+    nextManifest,
+    visualIndex,
+    storage,
+    stats,
+    scheduler,
+    inFlight: new Map(),
+    deadline: RUN_BUDGET_MS ? Date.now() + RUN_BUDGET_MS : Infinity,
+  };
+
+  await Promise.all(imagesList.map(async offer => {
+    try {
+      const result = await processOffer(offer, context);
+      if (result) offerResults.push(result);
+    } catch (err) {
+      stats.skipped += 1;
+      console.warn(`Offer ${offer?.offerId || 'unknown'} failed: ${err.message}`);
     }
-  });
-
-  await Promise.all(workers);
+  }));
 
   const sortedOffers = offerResults
-    .map(({ offerId, urls }) => ({
+    .map(({ offerId, urls, variants, issues }) => ({
       offerId,
       urls: Array.from(new Set(urls)).sort(),
+      ...(variants ? { variants: Object.fromEntries(Object.keys(variants).sort().map(f => [f, Array.from(new Set(variants[f])).sort()])) } : {}),
+      ...(issues ? { issues } : {}),
     }))
     .sort((a, b) => a.offerId.localeCompare(b.offerId));
 
@@ -299,18 +415,92 @@ async function main() {
 
   if (manifestChanged) {
     try {
-      await putManifestToR2(s3, manifestString);
+      await putManifest(storage, manifestString);
     } catch (err) {
-      console.warn(`Failed to upload manifest to R2: ${err.message}`);
+      console.warn(`Failed to upload manifest to ${storage.name}: ${err.message}`);
+    }
+  }
+
+  console.log(
+    `Images processed (${storage.name}): offers=${sortedOffers.length}, uploaded=${stats.uploaded}, reused(304)=${stats.reused304}, reused(existing)=${stats.reusedExisting}, reused(visual)=${stats.reusedVisual}, rejected=${stats.rejected}, flagged=${stats.flagged}, skipped=${stats.skipped}, deferred=${stats.deferred}, concurrency=${CONCURRENCY} (${HOST_CONCURRENCY}/host)`
+  );
+  for (const host of scheduler.hosts().sort()) {
+    const h = scheduler.stats(host);
+    console.log(
+      `  ${host}: requests=${h.requests || 0}, ok=${h.ok || 0}, not-modified=${h.notModified || 0}, failed=${h.failed || 0}, throttled=${h.throttled || 0}, timeouts=${h.timeouts || 0}, paused=${h.pauses}, downloaded=${formatBytes(h.bytes || 0)}, queue wait=${Math.round(h.waitMs / 1000)}s`
+    );
+  }
+}
+
+// node scripts/sync-images-to-r2.js hash <file|url>... — хэши для списка заглушек (IMAGE_PLACEHOLDERS)
+async function printHashes(sources) {
+  if (!sources.length) throw new Error('Usage: node scripts/sync-images-to-r2.js hash <file|url>...');
+  for (const source of sources) {
+    let buffer;
+    if (/^https?:/i.test(source)) {
+      const response = await fetch(source, { redirect: 'follow' });
+      if (!response.ok) throw new Error(`${source}: HTTP ${response.status}`);
+      buffer = Buffer.from(await response.arrayBuffer());
+    } else {
+      buffer = await fs.promises.readFile(source);
     }
+    console.log(`${await perceptualHash(buffer)}  ${source}`);
   }
+}
 
+/* node scripts/sync-images-to-r2.js gc [--delete] — сироты под img/: объекты, на которые не ссылаются
+   ни текущий манифест, ни последние IMAGE_GC_KEEP_MANIFESTS снимков. По умолчанию только отчёт;
+   с --delete (или IMAGE_GC_DELETE=1) удаляются сироты старше IMAGE_GC_GRACE_DAYS дней
+   и снимки манифеста сверх последних N */
+async function collectGarbage(args) {
+  const { flags } = parseArgs(args, { booleans: ['delete'] });
+  const remove = flags.delete === 'true' || process.env.IMAGE_GC_DELETE === '1';
+  const keepManifests = Math.max(1, Number(process.env.IMAGE_GC_KEEP_MANIFESTS) || 5);
+  // пустая переменная из GitHub vars — тоже «по умолчанию», а не ноль дней
+  const graceDays = process.env.IMAGE_GC_GRACE_DAYS ? Number(process.env.IMAGE_GC_GRACE_DAYS) : 7;
+  if (!(graceDays >= 0)) throw new Error(`Invalid IMAGE_GC_GRACE_DAYS "${process.env.IMAGE_GC_GRACE_DAYS}": expected a number of days`);
+  const storage = storageFromEnv(process.env);
+
+  const stored = await storage.get(MANIFEST_KEY);
+  const local = await readJsonSafe(LOCAL_IMAGE_MANIFEST_PATH, null);
+  if (!stored && !local) {
+    throw new Error(`No current image manifest (${MANIFEST_KEY} in ${storage.name} or ${LOCAL_IMAGE_MANIFEST_PATH}), refusing to collect garbage`);
+  }
+  const snapshots = [];
+  for await (const object of storage.list(HISTORY_PREFIX)) snapshots.push(object.key);
+  snapshots.sort();
+  const kept = snapshots.slice(-keepManifests);
+  const manifests = [local, stored && JSON.parse(stored.toString('utf8'))];
+  for (const key of kept) {
+    const body = await storage.get(key);
+    if (body) manifests.push(JSON.parse(body.toString('utf8')));
+  }
+  const referenced = referencedKeys(manifests);
+
+  const { total, orphans, deletable } = await findOrphans(storage.list(IMAGE_PREFIX), referenced, { graceDays });
+  const deletableKeys = new Set(deletable.map(o => o.key));
+  for (const orphan of orphans) {
+    const state = deletableKeys.has(orphan.key) ? 'deletable' : 'in grace period';
+    console.log(`${orphan.key}\t${formatBytes(orphan.size)}\t${orphan.lastModified.toISOString()}\t${state}`);
+  }
+
+  const size = list => formatBytes(list.reduce((sum, o) => sum + o.size, 0));
+  let deleted = 0;
+  const staleSnapshots = snapshots.slice(0, -keepManifests);
+  if (remove) {
+    await storage.delete(deletable.map(o => o.key));
+    await storage.delete(staleSnapshots);
+    deleted = deletable.length;
+  }
   console.log(
-    `Images processed: offers=${sortedOffers.length}, uploaded=${stats.uploaded}, reused(304)=${stats.reused304}, reused(existing)=${stats.reusedExisting}, skipped=${stats.skipped}, concurrency=${workerCount}`
+    `Image GC (${storage.name}): objects=${total}, referenced=${referenced.size}, manifests=${manifests.filter(Boolean).length}, orphans=${orphans.length} (${size(orphans)}), deletable=${deletable.length} (${size(deletable)}), grace=${graceDays}d, ` +
+    (remove ? `deleted=${deleted}, snapshots deleted=${staleSnapshots.length}` : 'dry run (pass --delete to remove)')
   );
 }
 
-main().catch(err => {
+const [mode, ...modeArgs] = process.argv.slice(2);
+const MODES = { hash: printHashes, gc: collectGarbage };
+(MODES[mode] ? MODES[mode](modeArgs) : main()).catch(err => {
   console.error(err);
   process.exit(1);
 });
@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+/* scripts/validate-yml.js
+   Usage:
+     node scripts/validate-yml.js public/yandex.yml [--report=validation-report.json] [--max-errors=0]
+     node scripts/convert.js <google_feed_url> | node scripts/validate-yml.js -
+*/
+
+const fs = require('fs');
+const path = require('path');
+const { streamRecords } = require('./lib/feed-reader');
+const { createYmlValidator, YML_ROOTS } = require('./lib/yml-validator');
+const { parseArgs } = require('./lib/cli');
+
+const ARGS = parseArgs(process.argv.slice(2));
+const INPUT = ARGS.positional[0];
+const REPORT_PATH = path.resolve(ARGS.flags.report || process.env.VALIDATE_REPORT || 'validation-report.json');
+const MAX_ERRORS = Number(ARGS.flags['max-errors'] ?? process.env.VALIDATE_MAX_ERRORS ?? 0);
+const MAX_PRINT = Number(ARGS.flags['max-print'] ?? 200);
+
+function formatIssue(issue){
+  const where = issue.offerId != null ? `offer ${issue.offerId || '(no id)'}` : 'feed';
+  return `${issue.level.toUpperCase().padEnd(7)} ${where}  ${issue.code}  ${issue.message}`;
+}
+
+async function main(){
+  if (!INPUT) {
+    console.error('Usage: node scripts/validate-yml.js <file.yml | -> [--report=path] [--max-errors=N]');
+    process.exit(2);
+  }
+  if (!Number.isFinite(MAX_ERRORS) || MAX_ERRORS < 0) throw new Error(`Invalid --max-errors: ${ARGS.flags['max-errors']}`);
+
+  const source = INPUT === '-' ? process.stdin : fs.createReadStream(INPUT);
+  const validator = createYmlValidator();
+  let printed = 0;
+  for await (const record of streamRecords(source, { roots: YML_ROOTS, expected: 'Yandex YML <yml_catalog>' })) {
+    for (const issue of validator.record(record)) {
+      if (printed++ < MAX_PRINT) console.log(formatIssue(issue));
+    }
+  }
+  const result = validator.finish();
+  for (const issue of result.issues.filter(i => i.offerId == null)) console.log(formatIssue(issue));
+  if (printed > MAX_PRINT) console.log(`… ${printed - MAX_PRINT} more offer issues, see ${REPORT_PATH}`);
+
+  const report = {
+    file: INPUT === '-' ? 'stdin' : path.resolve(INPUT),
+    checkedAt: new Date().toISOString(),
+    maxErrors: MAX_ERRORS,
+    // порог — для ошибок в отдельных офферах; ошибка документа целиком не пропускается никогда
+    passed: result.feedErrors === 0 && result.errors - result.feedErrors <= MAX_ERRORS,
+    ...result,
+  };
+  await fs.promises.mkdir(path.dirname(REPORT_PATH), { recursive: true });
+  await fs.promises.writeFile(REPORT_PATH, JSON.stringify(report, null, 2), 'utf8');
+
+  console.log(
+    `Validated offers=${result.offers}, withIssues=${result.offersWithIssues}, errors=${result.errors}, warnings=${result.warnings}, maxErrors=${MAX_ERRORS}`
+  );
+  if (!report.passed) {
+    console.error(result.feedErrors
+      ? `Validation failed: ${result.feedErrors} feed-level errors`
+      : `Validation failed: ${result.errors} offer errors exceed the threshold of ${MAX_ERRORS}`);
+    process.exit(1);
+  }
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
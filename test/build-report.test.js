@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createBuildReport } = require('../scripts/lib/build-report');
+const { convert } = require('../scripts/lib');
+
+test('entries are counted and their refs filled in as they are parsed', () => {
+  const report = createBuildReport({ format: 'yml' });
+  const a = report.entry();
+  a.ref.id = 'A1';
+  a.modify('PRICE_FROM_OLDPRICE', 'regular price used');
+  report.output();
+  const b = report.entry();
+  b.drop('NO_PRICE', 'no usable price');
+  // id становится известен уже после записи причины
+  Object.assign(b.ref, { id: 'B2', name: 'Чайник' });
+  report.reject({ id: 'C3', name: 'Кабель', url: 'https://shop.example/c3' }, 'FORMAT_REJECTED', 'kaspi: no name');
+  report.warn('DUPLICATE_ID', 'offer id A1 collides');
+  report.rule('no cables');
+
+  const json = report.toJSON();
+  assert.deepEqual([json.format, json.input, json.output, json.droppedCount, json.modifiedCount], ['yml', 2, 1, 2, 1]);
+  assert.deepEqual(json.droppedByReason, { NO_PRICE: 1, FORMAT_REJECTED: 1 });
+  assert.deepEqual(json.dropped[0], { id: 'B2', name: 'Чайник', url: '', code: 'NO_PRICE', message: 'no usable price' });
+  assert.deepEqual(json.rules, { 'no cables': 1 });
+  assert.deepEqual(report.summary().split('\n'), [
+    'Build report: input=2, output=1, dropped=2, modified=1',
+    '  dropped  NO_PRICE: 1',
+    '  dropped  FORMAT_REJECTED: 1',
+    '  modified PRICE_FROM_OLDPRICE: 1',
+    '  rule     "no cables": 1',
+    '  warning  DUPLICATE_ID: offer id A1 collides',
+    '  - B2 "Чайник" NO_PRICE: no usable price',
+    '  - C3 "Кабель" FORMAT_REJECTED: kaspi: no name',
+  ]);
+});
+
+test('the report is written as JSON next to the feed', async () => {
+  const report = createBuildReport();
+  report.entry().drop('NO_ID', 'no id');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'build-report-'));
+  try {
+    const file = path.join(dir, 'public', 'yandex.report.json');
+    await report.write(file);
+    assert.equal(JSON.parse(fs.readFileSync(file, 'utf8')).droppedByReason.NO_ID, 1);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('conversion explains dropped entries and fixed fields', async () => {
+  const entry = { id: ['A1'], title: ['Чайник'], link: ['https://shop.example.kz/a1'], description: ['x'.repeat(3100)] };
+  const { report } = await convert([
+    { ...entry, price: ['0 KZT'], sale_price: ['0 KZT'] },
+    { ...entry, id: ['A2'], price: ['100 KZT'], image_link: ['javascript:alert(1)', 'https://shop.example.kz/a2.jpg'] },
+  ], { shop: { name: 'Shop', company: 'Shop LLC', url: 'https://shop.example.kz' }, warn(){} });
+  const json = report.toJSON();
+  assert.deepEqual([json.input, json.output], [2, 1]);
+  assert.deepEqual(json.dropped.map(d => [d.id, d.code]), [['A1', 'NO_PRICE']]);
+  assert.ok(json.modified.some(m => m.id === 'A2' && m.code === 'DESCRIPTION_TRUNCATED'), JSON.stringify(json.modifiedByReason));
+  assert.deepEqual(json.modified.filter(m => m.code === 'PICTURE_DISCARDED').map(m => [m.id, m.message]), [['A2', 'invalid picture URL discarded: javascript:alert(1)']]);
+});
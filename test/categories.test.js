@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createCategoryTree, categoryIdFor } = require('../scripts/lib/categories');
+
+const build = paths => {
+  const tree = createCategoryTree();
+  const ids = paths.map(p => tree.add(p.split(' > ')));
+  return { ids, nodes: tree.nodes() };
+};
+
+test('category ids and names do not depend on feed order or case', () => {
+  const paths = ['Смартфоны > Galaxy S', 'смартфоны > GALAXY S', 'Смартфоны > Galaxy S', 'Смартфоны > Galaxy A'];
+  const forward = build(paths);
+  const backward = build(paths.slice().reverse());
+  assert.deepEqual(forward.nodes, backward.nodes);
+  assert.equal(forward.ids[0], forward.ids[1]);
+  assert.deepEqual(forward.nodes.map(n => n.name), ['Смартфоны', 'Galaxy A', 'Galaxy S']);
+  assert.equal(forward.nodes[0].id, categoryIdFor(['СМАРТФОНЫ']));
+  assert.equal(forward.nodes[1].parentId, forward.nodes[0].id);
+});
+
+test('equally common spellings resolve alphabetically', () => {
+  const a = build(['TV > OLED', 'tv > Oled']).nodes.map(n => n.name);
+  const b = build(['tv > Oled', 'TV > OLED']).nodes.map(n => n.name);
+  assert.deepEqual(a, ['TV', 'OLED']);
+  assert.deepEqual(b, a);
+  assert.deepEqual(build([]).nodes, []);
+  assert.equal(createCategoryTree().add([]), categoryIdFor(['Default']));
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { detectCharset, decodeText, charsetFromContentType } = require('../scripts/lib/charset');
+
+const CP1251_PRIVET = Buffer.from([0xcf, 0xf0, 0xe8, 0xe2, 0xe5, 0xf2]); // «Привет» в windows-1251
+const prolog = encoding => Buffer.from(`<?xml version="1.0" encoding="${encoding}"?><t>`, 'latin1');
+const BOM = Buffer.from([0xef, 0xbb, 0xbf]);
+
+async function decode(chunks, options){
+  const meta = {};
+  let text = '';
+  for await (const s of decodeText(chunks, options, meta)) text += s;
+  return { text, meta };
+}
+
+test('BOM wins over the XML prolog and the header', () => {
+  const head = Buffer.concat([BOM, prolog('windows-1251')]);
+  assert.deepEqual(detectCharset(head), { encoding: 'utf-8', source: 'bom' });
+  assert.deepEqual(detectCharset(head, 'koi8-r'), { encoding: 'utf-8', source: 'bom' });
+  assert.deepEqual(detectCharset(Buffer.from([0xff, 0xfe, 0x3c, 0x00])), { encoding: 'utf-16le', source: 'bom' });
+});
+
+test('header charset wins over the prolog, prolog over the default', () => {
+  assert.deepEqual(detectCharset(prolog('windows-1251'), 'utf-8'), { encoding: 'utf-8', source: 'header' });
+  assert.deepEqual(detectCharset(prolog('Windows-1251')), { encoding: 'windows-1251', source: 'prolog' });
+  // UTF-16 в прологе ASCII-совместимого документа не может быть правдой
+  assert.deepEqual(detectCharset(prolog('UTF-16')), { encoding: 'utf-8', source: 'prolog' });
+  assert.deepEqual(detectCharset(Buffer.from('<rss>')), { encoding: 'utf-8', source: 'default' });
+  assert.throws(() => detectCharset(prolog('x-klingon')), /Unsupported feed encoding "x-klingon" \(from prolog\)/);
+  assert.equal(charsetFromContentType('application/xml; charset="windows-1251"'), 'windows-1251');
+  assert.equal(charsetFromContentType('text/xml'), '');
+});
+
+test('decodeText decodes by prolog and drops the BOM', async () => {
+  const cp1251 = await decode([prolog('windows-1251'), CP1251_PRIVET, Buffer.from('</t>')]);
+  assert.equal(cp1251.text, '<?xml version="1.0" encoding="windows-1251"?><t>Привет</t>');
+  assert.deepEqual(cp1251.meta, { charset: 'windows-1251', charsetSource: 'prolog' });
+
+  // многобайтный символ, разрезанный между кусками
+  const utf8 = Buffer.concat([BOM, prolog('windows-1251'), Buffer.from('Привет</t>')]);
+  const split = await decode([utf8.subarray(0, utf8.length - 5), utf8.subarray(utf8.length - 5)]);
+  assert.equal(split.text, '<?xml version="1.0" encoding="windows-1251"?><t>Привет</t>');
+  assert.equal(split.meta.charsetSource, 'bom');
+});
@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseArgs, splitList } = require('../scripts/lib/cli');
+
+test('value flags take the next argument, boolean flags never do', () => {
+  assert.deepEqual(parseArgs(['--report', 'r.json', '--max-errors=3', 'in.yml']), {
+    flags: { report: 'r.json', 'max-errors': '3' }, positional: ['in.yml'],
+  });
+  assert.deepEqual(parseArgs(['--force', 'prev.yml', 'next.yml'], { booleans: ['force'] }), {
+    flags: { force: 'true' }, positional: ['prev.yml', 'next.yml'],
+  });
+  assert.deepEqual(parseArgs(['prev.yml', 'next.yml', '--force', '--report=r.json'], { booleans: ['force'] }).flags, { force: 'true', report: 'r.json' });
+  assert.deepEqual(parseArgs(['--delete=false'], { booleans: ['delete'] }).flags, { delete: 'false' });
+  assert.deepEqual(parseArgs(['--verbose']).flags, { verbose: 'true' });
+});
+
+test('splitList drops empty items', () => {
+  assert.deepEqual(splitList(' a.csv, ,b.xml '), ['a.csv', 'b.xml']);
+  assert.deepEqual(splitList(undefined), []);
+});
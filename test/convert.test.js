@@ -0,0 +1,252 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { PassThrough, Readable } = require('stream');
+const { convert, convertToStream, resolveOptions } = require('../scripts/lib');
+const { createTaxonomy } = require('../scripts/lib/taxonomy');
+const { loadLocalInventory } = require('../scripts/lib/feed-merge');
+
+const fixture = name => path.join(__dirname, 'fixtures', name);
+const read = name => fs.readFileSync(fixture(name));
+
+const OPTIONS = {
+  shop: { name: 'Test Shop', company: 'Test LLC', url: 'https://shop.example.kz' },
+  buildTime: '2026-01-15T09:00:00Z',
+  currencyRates: 'USD=450',
+  country: 'KZ',
+};
+
+const offerXml = (yml, id) => (yml.match(new RegExp(`<offer id="${id}"[\\s\\S]*?</offer>`)) || [''])[0];
+
+// UPDATE_FIXTURES=1 npm test — пересобрать эталон после намеренного изменения вывода
+test('RSS fixture converts to the reference YML', async () => {
+  const { yml } = await convert(read('google-rss.xml'), OPTIONS);
+  if (process.env.UPDATE_FIXTURES === '1') fs.writeFileSync(fixture('google-rss.yml'), yml);
+  assert.equal(yml, read('google-rss.yml').toString('utf8'));
+});
+
+test('report records drops and modifications', async () => {
+  const { report, offers } = await convert(read('google-rss.xml'), OPTIONS);
+  const json = report.toJSON();
+  assert.equal(json.input, 6);
+  assert.equal(json.output, 5);
+  assert.deepEqual(json.droppedByReason, { NO_PRICE: 1 });
+  assert.deepEqual(json.modifiedByReason, { ID_SYNTHESIZED: 1, VARIANT_NAME_EXTENDED: 2 });
+  assert.deepEqual(offers.map(o => o.id), ['TV-55', 'PH-128-BK', 'PH-256-WH', 'USED-1', '6c186af75c129f67']);
+});
+
+test('offers model carries the mapped fields', async () => {
+  const { offers } = await convert(read('google-rss.xml'), OPTIONS);
+  const tv = offers.find(o => o.id === 'TV-55');
+  assert.equal(tv.price, '279990');
+  assert.equal(tv.oldprice, '300000.00');
+  assert.equal(tv.weight, '18.5');
+  assert.equal(tv.dimensions, '140/20/85');
+  assert.equal(tv.descriptionHtml, true);
+  assert.deepEqual(tv.pictures, ['https://images.example.kz/tv-55.jpg', 'https://shop.example.kz/img/tv-55-back.jpg']);
+  assert.deepEqual(offers.find(o => o.id === 'USED-1').condition, { type: 'preowned', quality: 'refurbished' });
+});
+
+test('Atom feeds and pre-parsed entries are accepted', async () => {
+  const atom = await convert(read('google-atom.xml'), OPTIONS);
+  assert.deepEqual(atom.offers.map(o => o.id), ['SM-S921', 'SM-S926']);
+  assert.equal(atom.offers[0].name, 'Samsung Galaxy S24 128GB');
+  assert.equal(atom.offers[0].url, 'https://shop.samsung.com/kz_ru/s24');
+
+  const entries = await convert([{ id: 'A1', title: 'Entry', link: 'https://shop.example.kz/a1', price: '100 KZT' }], OPTIONS);
+  assert.deepEqual(entries.offers.map(o => [o.id, o.name, o.price]), [['A1', 'Entry', '100']]);
+});
+
+test('convertToStream writes the same document as convert', async () => {
+  const out = new PassThrough();
+  const chunks = [];
+  out.on('data', chunk => chunks.push(chunk));
+  const { report } = await convertToStream(fs.createReadStream(fixture('google-rss.xml')), out, OPTIONS);
+  out.end();
+  assert.equal(Buffer.concat(chunks).toString('utf8'), read('google-rss.yml').toString('utf8'));
+  assert.equal(report.toJSON().output, 5);
+});
+
+test('rules, currency conversion and the image index apply', async () => {
+  const { yml, report } = await convert(read('google-rss.xml'), {
+    ...OPTIONS,
+    currencyTarget: 'KZT',
+    priceRounding: 'ceil:10',
+    imageIndex: { 'TV-55': ['https://cdn.example.kz/img/tv-55.webp'] },
+    rules: { rules: [
+      { name: 'no cables', match: { product_type: 'Аксессуары' }, exclude: true },
+      { name: 'warranty', match: { brand: 'samsung' }, addParams: [{ name: 'Гарантия', value: '1 год' }] },
+    ] },
+  });
+  const used = offerXml(yml, 'USED-1');
+  assert.match(used, /<price>54000<\/price>/);
+  assert.match(used, /<currencyId>KZT<\/currencyId>/);
+  assert.match(used, /<param name="Гарантия">1 год<\/param>/);
+  assert.match(offerXml(yml, 'TV-55'), /<picture>https:\/\/cdn\.example\.kz\/img\/tv-55\.webp<\/picture>\s*<vendor>/);
+  assert.doesNotMatch(yml, /Кабель/);
+  assert.deepEqual(report.toJSON().rules, { 'no cables': 1, warranty: 4 });
+});
+
+test('rule set values are normalised like feed values', async () => {
+  const { offers } = await convert(read('google-rss.xml'), {
+    ...OPTIONS,
+    rules: { rules: [{ match: { id: 'TV-55' }, set: { availability: 'out_of_stock', weight: '2500 g' } }] },
+  });
+  const tv = offers.find(o => o.id === 'TV-55');
+  assert.equal(tv.availability, 'false');
+  assert.equal(tv.weight, '2.5');
+  assert.throws(() => resolveOptions({ rules: { rules: [{ set: { availability: 'in stock now' } }] } }), /invalid availability/);
+});
+
+test('price rules apply after currency conversion, set.category re-derives typePrefix', async () => {
+  const { offers } = await convert(read('google-rss.xml'), {
+    ...OPTIONS,
+    currencyTarget: 'KZT',
+    rules: { rules: [
+      { match: { id: 'USED-1' }, price: { multiply: 1.1, round: 'ceil:1000' } },
+      { match: { id: 'TV-55' }, set: { category: 'Электроника > ТВ и видео > Телевизоры OLED' } },
+    ] },
+  });
+  const used = offers.find(o => o.id === 'USED-1');
+  // 120 USD × 450 = 54000 KZT, +10% = 59400, вверх до тысячи
+  assert.deepEqual([used.price, used.currencyId], ['60000', 'KZT']);
+  assert.equal(offers.find(o => o.id === 'TV-55').typePrefix, 'Телевизоры OLED');
+  assert.throws(() => resolveOptions({ rules: { rules: [{ match: { id: 'A' }, exclude: false }] } }), /Rule #1: no action/);
+});
+
+test('an empty image index entry removes the feed pictures', async () => {
+  const { offers, report } = await convert(read('google-rss.xml'), { ...OPTIONS, imageIndex: { 'TV-55': [] } });
+  assert.equal(offers.find(o => o.id === 'TV-55').pictures, undefined);
+  assert.equal(report.toJSON().modifiedByReason.PICTURES_REJECTED, 1);
+});
+
+test('collapse mode keeps one offer per variant group', async () => {
+  const { offers, report } = await convert(read('google-rss.xml'), { ...OPTIONS, variantMode: 'collapse' });
+  const phones = offers.filter(o => o.id.startsWith('PH-'));
+  assert.deepEqual(phones.map(o => [o.id, o.name, o.itemGroupId]), [['PH-256-WH', 'Samsung Galaxy S24', undefined]]);
+  assert.equal(report.toJSON().droppedByReason.VARIANT_COLLAPSED, 1);
+});
+
+test('kaspi format renders the Kaspi price list', async () => {
+  const { yml } = await convert(read('google-rss.xml'), { ...OPTIONS, format: 'kaspi', kaspi: { merchantId: 'M1', company: 'Test' } });
+  assert.match(yml, /^<\?xml[^>]*>\s*<kaspi_catalog /);
+  assert.match(yml, /<offer sku="TV-55">/);
+});
+
+test('kaspi stockCount comes from per-store local inventory only', async () => {
+  const store = (storeCode, quantity, availability = 'in_stock') => ({ storeCode, quantity, availability, pickupMethod: '', pickupSla: '' });
+  const { yml } = await convert(read('google-rss.xml'), {
+    ...OPTIONS,
+    format: 'kaspi',
+    kaspi: { merchantId: 'M1', company: 'Test', stores: ['PP1', 'PP2', 'PP3'] },
+    inventory: new Map([['TV-55', [store('PP1', 4), store('PP2', 0, 'out_of_stock')]]]),
+  });
+  const tv = (yml.match(/<offer sku="TV-55">[\s\S]*?<\/offer>/) || [''])[0];
+  assert.match(tv, /<availability available="yes" storeId="PP1" stockCount="4"\/>/);
+  assert.match(tv, /<availability available="no" storeId="PP2"\/>/);
+  assert.match(tv, /<availability available="yes" storeId="PP3"\/>/);
+  // без остатков по точкам общий <count> в stockCount не попадает
+  assert.doesNotMatch(yml.replace(tv, ''), /stockCount/);
+});
+
+test('resolveOptions validates settings', () => {
+  assert.throws(() => resolveOptions({ descriptionMode: 'markdown' }), /DESCRIPTION_MODE/);
+  assert.throws(() => resolveOptions({ variantMode: 'merge' }), /VARIANT_MODE/);
+  assert.throws(() => resolveOptions({ timezone: 'Mars/Olympus' }), /Unknown time zone/);
+  assert.throws(() => resolveOptions({ currencyRates: 'USD' }), /Invalid currency rate/);
+  const o = resolveOptions({ currencyBase: 'rub', paramUnits: 'Мощность=Вт' });
+  assert.equal(o.currencyBase, 'RUR');
+  assert.equal(o.paramUnits.get('мощность'), 'Вт');
+  assert.equal(resolveOptions(o).currencyBase, 'RUR');
+});
+
+test('an empty feed is an error', async () => {
+  await assert.rejects(convert('<rss><channel></channel></rss>', OPTIONS), /contains no entries/);
+});
+
+test('convert leaves the caller entries untouched and does not warn on string input', async () => {
+  const warnings = [];
+  const entries = [{ id: ['A-1'], title: ['Ð¢ÐµÐ»ÐµÑ\u0084Ð¾Ð½'], price: ['1000 KZT'], link: ['https://shop.example.kz/a'], image_link: ['https://shop.example.kz/a.jpg'], availability: ['in stock'] }];
+  // остатки в том виде, в каком их отдаёт loadLocalInventory
+  const inventory = await loadLocalInventory(Readable.from([Buffer.from('id,store_code,quantity,availability\nA-1,PP1,3,in stock\nA-1,PP2,2,in stock\nA-1,PP3,0,out of stock\n')]), 'local.csv');
+  const snapshot = JSON.stringify([entries, [...inventory]]);
+  const { offers, yml } = await convert(entries, {
+    ...OPTIONS,
+    repairMojibake: true,
+    supplemental: new Map([['A-1', { brand: ['Acme'] }]]),
+    inventory,
+    outletIds: new Map([['PP1', '101']]),
+  });
+  assert.equal(JSON.stringify([entries, [...inventory]]), snapshot);
+  assert.deepEqual([offers[0].name, offers[0].brand], ['Телефон', 'Acme']);
+  const offer = offerXml(yml, 'A-1');
+  assert.match(offer, /<count>5<\/count>/);
+  assert.match(offer, /<outlets>\s*<outlet id="101" instock="3"\/>\s*<outlet id="PP2" instock="2"\/>\s*<\/outlets>/);
+  await convert(read('google-rss.xml').toString('utf8'), { ...OPTIONS, warn: message => warnings.push(message) });
+  assert.deepEqual(warnings.filter(w => /decoded as/.test(w)), []);
+});
+
+test('a price in a currency Yandex does not accept drops the offer', async () => {
+  const entry = { id: ['GB-1'], title: ['Чайник'], price: ['100 GBP'], link: ['https://shop.example.kz/gb'], image_link: ['https://shop.example.kz/gb.jpg'], availability: ['in stock'] };
+  const { offers, report } = await convert([entry, { ...entry, id: ['KZ-1'], price: ['100 KZT'] }], OPTIONS);
+  assert.deepEqual(offers.map(o => o.id), ['KZ-1']);
+  assert.equal(report.toJSON().droppedByReason.CURRENCY_UNSUPPORTED, 1);
+});
+
+test('sale_price applies only inside its effective window', async () => {
+  const entry = (id, window) => ({
+    id: [id], title: ['Чайник'], price: ['1000 KZT'], sale_price: ['800 KZT'], link: [`https://shop.example.kz/${id}`],
+    image_link: [`https://shop.example.kz/${id}.jpg`], availability: ['in stock'], ...(window ? { sale_price_effective_date: [window] } : {}),
+  });
+  const { offers, yml, report } = await convert([
+    entry('ACTIVE', '2026-01-10/2026-01-20'),
+    entry('UPCOMING', '2026-02-01T00:00Z/2026-02-10T00:00Z'),
+    entry('EXPIRED', '2025-12-01/2025-12-31'),
+    entry('BROKEN', 'since monday'),
+    entry('OPEN'),
+  ], { ...OPTIONS, emitPromos: true });
+  assert.deepEqual(offers.map(o => [o.id, o.price, o.oldprice]), [
+    ['ACTIVE', '800', '1000'], ['UPCOMING', '1000', ''], ['EXPIRED', '1000', ''], ['BROKEN', '1000', ''], ['OPEN', '800', '1000'],
+  ]);
+  const json = report.toJSON();
+  assert.equal(json.modifiedByReason.SALE_WINDOW_INVALID, 1);
+  assert.equal(json.modifiedByReason.SALE_NOT_APPLIED, 3);
+  // в <promos> — текущая и запланированная распродажи, без прошедшей и битой
+  assert.deepEqual([...yml.matchAll(/<product offer-id="([^"]+)"/g)].map(m => m[1]).sort(), ['ACTIVE', 'UPCOMING']);
+});
+
+test('an unresolved category id leaves typePrefix empty instead of "Default"', async () => {
+  const taxonomy = createTaxonomy({
+    names: new Map([['505', 'Электроника > Телевизоры']]),
+    categoryMap: new Map([['267', { category: 'Телефоны > Смартфоны', typePrefix: '' }]]),
+  });
+  const entry = (id, category) => ({
+    id: [id], title: ['Товар'], price: ['100 KZT'], link: [`https://shop.example.kz/${id}`],
+    image_link: [`https://shop.example.kz/${id}.jpg`], availability: ['in stock'], google_product_category: [category],
+  });
+  const { offers, yml, report } = await convert([entry('U1', '999999'), entry('T1', '505'), entry('M1', '267')], { ...OPTIONS, taxonomy });
+  assert.deepEqual(offers.map(o => [o.id, o.category, o.typePrefix]), [
+    ['U1', 'Default', ''], ['T1', 'Электроника > Телевизоры', 'Телевизоры'], ['M1', 'Телефоны > Смартфоны', 'Смартфоны'],
+  ]);
+  assert.doesNotMatch(offerXml(yml, 'U1'), /<typePrefix>/);
+  assert.equal(report.toJSON().modifiedByReason.CATEGORY_ID_UNRESOLVED, 1);
+});
+
+test('logistics fields are converted to Yandex units and emitted', async () => {
+  const base = { title: ['Чайник'], price: ['9990 KZT'], link: ['https://shop.example.kz/k'], image_link: ['https://shop.example.kz/k.jpg'] };
+  const { yml, report } = await convert([
+    { ...base, id: ['K1'], shipping_weight: ['1500 g'], product_length: ['8 in'], product_width: ['200 mm'], product_height: ['25 cm'],
+      adult: ['yes'], sales_notes: ['Предоплата 100%'], min_quantity: ['2'], manufacturer_warranty: ['true'] },
+    { ...base, id: ['K2'], unit_pricing_measure: ['750 g'], shipping_weight: ['heavy'] },
+    { ...base, id: ['K3'], shipping_weight: ['2000 kg'], shipping_length: ['10 cm'] },
+  ], OPTIONS);
+  const k1 = offerXml(yml, 'K1');
+  for (const tag of ['<sales_notes>Предоплата 100%</sales_notes>', '<min-quantity>2</min-quantity>', '<manufacturer_warranty>true</manufacturer_warranty>',
+    '<adult>true</adult>', '<weight>1.5</weight>', '<dimensions>20.32/20/25</dimensions>']) assert.ok(k1.includes(tag), tag);
+  assert.match(offerXml(yml, 'K2'), /<weight>0\.75<\/weight>/);
+  assert.doesNotMatch(offerXml(yml, 'K3'), /<weight>|<dimensions>/);
+  const modified = report.toJSON().modified.map(m => `${m.id} ${m.code}`);
+  assert.deepEqual(modified.filter(m => /WEIGHT|DIMENSIONS/.test(m)),
+    ['K2 WEIGHT_INVALID', 'K2 WEIGHT_FROM_UNIT_PRICING', 'K3 WEIGHT_OUT_OF_RANGE', 'K3 DIMENSIONS_INCOMPLETE']);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCurrencyRates, parseRounding, roundPrice, createCurrencyTable } = require('../scripts/lib/currencies');
+const { convert } = require('../scripts/lib');
+
+test('currency rates accept numbers and bank keywords', () => {
+  const rates = parseCurrencyRates('USD=NBK, rub=5.2, EUR=CBRF+2');
+  assert.deepEqual([...rates], [['USD', { rate: 'NBK', plus: 0 }], ['RUR', { rate: 5.2, plus: 0 }], ['EUR', { rate: 'CBRF', plus: 2 }]]);
+  assert.throws(() => parseCurrencyRates('GBP=500'), /Unsupported currency "GBP"/);
+  assert.throws(() => parseCurrencyRates('USD=ECB'), /Unknown rate keyword "ECB"/);
+  assert.throws(() => parseCurrencyRates('USD=450+1'), /only allowed with a bank keyword/);
+});
+
+test('prices round by step and mode without float noise', () => {
+  assert.equal(roundPrice(0.1 + 0.2, parseRounding('0.01')), '0.30');
+  assert.equal(roundPrice(54001, parseRounding('ceil:10')), '54010');
+  assert.equal(roundPrice(54009, parseRounding('floor:100')), '54000');
+  assert.equal(roundPrice(149.5, parseRounding('1')), '150');
+  assert.throws(() => parseRounding('up:10'), /Invalid price rounding/);
+});
+
+test('the table keeps offer currencies or converts them to the target', () => {
+  const keep = createCurrencyTable({ base: 'KZT', rates: parseCurrencyRates('USD=450') });
+  assert.deepEqual(keep.apply({ price: '120', currencyId: 'USD' }), { price: '120', currencyId: 'USD' });
+  keep.apply({ price: '5', currencyId: 'RUR' });
+  assert.deepEqual(keep.entries(), [{ id: 'KZT', rate: '1', plus: 0 }, { id: 'RUR', rate: 'CB', plus: 0 }, { id: 'USD', rate: '450', plus: 0 }]);
+  assert.deepEqual(keep.missing, ['RUR']);
+
+  const target = createCurrencyTable({ base: 'KZT', rates: parseCurrencyRates('USD=450,RUR=5'), target: 'RUR', rounding: 'ceil:1' });
+  assert.deepEqual(target.apply({ price: '120', oldprice: '130', currencyId: 'USD' }), { price: '10800', oldprice: '11700', currencyId: 'RUR' });
+  assert.equal(target.convertAmount('1000', 'KZT'), '200');
+  assert.throws(() => createCurrencyTable({ base: 'KZT', rates: parseCurrencyRates('RUR=CBRF'), target: 'RUR' }), /numeric rate is required/);
+  assert.throws(() => createCurrencyTable({ base: 'USD' }), /Base currency must be one of/);
+});
+
+test('each offer keeps its own currency in the feed', async () => {
+  const entry = (id, price) => ({ id: [id], title: ['Товар'], price: [price], link: [`https://shop.example.kz/${id}`] });
+  const { yml } = await convert([entry('A', '100 KZT'), entry('B', '2 USD'), entry('C', '300 RUB')], {
+    shop: { name: 'Shop', company: 'Shop LLC', url: 'https://shop.example.kz' }, currencyRates: 'USD=NBK+1', warn(){},
+  });
+  assert.match(yml, /<currency id="KZT" rate="1"\/>\s*<currency id="RUR" rate="CB"\/>\s*<currency id="USD" rate="NBK" plus="1"\/>/);
+  assert.match(yml, /<offer id="B"[\s\S]*?<currencyId>USD<\/currencyId>/);
+  assert.match(yml, /<offer id="C"[\s\S]*?<currencyId>RUR<\/currencyId>/);
+});
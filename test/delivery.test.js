@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDeliveryOptions, buildShippingOptions, pickupFromSla } = require('../scripts/lib/delivery');
+const { convert } = require('../scripts/lib');
+
+test('shop default options are validated', () => {
+  assert.deepEqual(parseDeliveryOptions('0:1-3:14; 1500:1'), [
+    { cost: '0', days: '1-3', orderBefore: '14' }, { cost: '1500', days: '1', orderBefore: '' },
+  ]);
+  assert.throws(() => parseDeliveryOptions('free:1'), /cost must be a non-negative number/);
+  assert.throws(() => parseDeliveryOptions('0:soon'), /days must be N or N-M/);
+  assert.throws(() => parseDeliveryOptions('0:1:25'), /order-before must be an hour/);
+  assert.throws(() => parseDeliveryOptions('0:1;1:1;2:1;3:1;4:1;5:1'), /at most 5/);
+});
+
+test('shipping days add handling and transit, pickup services go to pickup-options', () => {
+  const options = buildShippingOptions([
+    { country: 'KZ', service: 'Курьер', cost: '1500', minHandling: 1, maxHandling: 2, minTransit: 3, maxTransit: 5 },
+    { country: 'KZ', service: 'Самовывоз', cost: '0', minHandling: 0, maxHandling: 0 },
+    { country: 'KZ', region: 'Алматы', service: 'Курьер', cost: '500', minTransit: 1 },
+    { country: 'RU', service: 'Курьер', cost: '900', minTransit: 7 },
+    { country: 'KZ', service: 'Экспресс', cost: '3000' },
+  ], { country: 'kz', defaults: [{ cost: '0', days: '2-4', orderBefore: '' }] });
+  // региональные тарифы не смешиваются с общенациональными, срок без данных — из опций магазина
+  assert.deepEqual(options.delivery, [{ cost: '1500', days: '4-7', orderBefore: '' }, { cost: '3000', days: '2-4', orderBefore: '' }]);
+  assert.deepEqual(options.pickup, [{ cost: '0', days: '0', orderBefore: '' }]);
+});
+
+test('pickup_sla becomes a free pickup option', () => {
+  assert.deepEqual(pickupFromSla('buy', 'next day'), { cost: '0', days: '1', orderBefore: '' });
+  assert.deepEqual(pickupFromSla('reserve', '3-day'), { cost: '0', days: '3', orderBefore: '' });
+  assert.equal(pickupFromSla('not supported', 'same day'), null);
+  assert.equal(pickupFromSla('buy', 'multi-week'), null);
+});
+
+test('offers without shipping data inherit the shop defaults instead of a fake free option', async () => {
+  const entry = { id: ['A'], title: ['Телевизор'], price: ['100000 KZT'], link: ['https://shop.example.kz/a'] };
+  const { yml } = await convert([
+    entry,
+    { ...entry, id: ['B'], shipping: [{ country: ['KZ'], service: ['Курьер'], price: ['5000 KZT'], min_transit_time: ['5'], max_transit_time: ['7'] }] },
+  ], { shop: { name: 'Shop', company: 'Shop LLC', url: 'https://shop.example.kz' }, country: 'KZ', deliveryDefaults: '1000:2-3', warn(){} });
+  assert.match(yml, /<shop>[\s\S]*?<delivery-options>\s*<option cost="1000" days="2-3"\/>\s*<\/delivery-options>[\s\S]*<offers>/);
+  assert.doesNotMatch(yml.match(/<offer id="A"[\s\S]*?<\/offer>/)[0], /delivery-options/);
+  assert.match(yml.match(/<offer id="B"[\s\S]*?<\/offer>/)[0], /<delivery-options>\s*<option cost="5000" days="5-7"\/>/);
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { Readable } = require('stream');
+const { summarizeYml, diffFeeds, checkThresholds } = require('../scripts/lib/feed-diff');
+
+const DIFF_SCRIPT = path.join(__dirname, '..', 'scripts', 'diff-feeds.js');
+
+// offers — [id, price, available?]
+function yml(offers){
+  const body = offers.map(([id, price, available = true]) =>
+    `<offer id="${id}" available="${available}"><price>${price}</price><currencyId>RUB</currencyId><categoryId>1</categoryId></offer>`).join('');
+  return `<?xml version="1.0" encoding="UTF-8"?><yml_catalog><shop><categories><category id="1">Shoes</category></categories><offers>${body}</offers></shop></yml_catalog>`;
+}
+const range = (n, price = 100) => Array.from({ length: n }, (_, i) => [`o${i}`, price]);
+const summarize = offers => summarizeYml(Readable.from([yml(offers)]));
+
+test('removed offers are checked against the threshold', async () => {
+  const prev = await summarize(range(10));
+  const atLimit = diffFeeds(prev, await summarize(range(8)));
+  assert.equal(atLimit.summary.removedPct, 20);
+  assert.deepEqual(checkThresholds(atLimit, { maxRemovedPct: 20 }), []);
+
+  const over = diffFeeds(prev, await summarize(range(7)));
+  assert.deepEqual(over.removed, ['o7', 'o8', 'o9']);
+  assert.deepEqual(checkThresholds(over, { maxRemovedPct: 20 }).map(v => v.code), ['OFFERS_REMOVED']);
+  assert.deepEqual(checkThresholds(over, { maxRemovedPct: 30 }), []);
+});
+
+test('price drops and availability flips have their own thresholds', async () => {
+  const prev = await summarize(range(10));
+  const next = await summarize([['o0', 60], ['o1', 69], ['o2', 100, false], ...range(10).slice(3)]);
+  const diff = diffFeeds(prev, next);
+  assert.deepEqual(diff.priceChanges.map(c => [c.id, c.changePct]), [['o0', -40], ['o1', -31]]);
+  assert.equal(diff.summary.becameUnavailablePct, 10);
+  const violations = checkThresholds(diff, { maxPriceDropPct: 35, maxUnavailablePct: 5 });
+  assert.deepEqual(violations.map(v => v.code), ['OFFERS_UNAVAILABLE', 'PRICE_DROP']);
+  assert.deepEqual(violations[1].offers, ['o0']);
+});
+
+test('first publication is never blocked', async () => {
+  const diff = diffFeeds({ offers: new Map(), categories: new Map() }, await summarize(range(3)));
+  assert.equal(diff.summary.added, 3);
+  assert.deepEqual(checkThresholds(diff, { maxRemovedPct: 0 }), []);
+});
+
+test('diff-feeds blocks a catastrophic change unless forced', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'feed-diff-'));
+  try {
+    const prev = path.join(dir, 'prev.yml');
+    const next = path.join(dir, 'next.yml');
+    const report = path.join(dir, 'feed-diff.json');
+    fs.writeFileSync(prev, yml(range(10)));
+    fs.writeFileSync(next, yml(range(2)));
+    const env = { ...process.env, FEED_DIFF_OVERRIDE: '' };
+    const run = (...flags) => spawnSync(process.execPath, [DIFF_SCRIPT, prev, next, `--report=${report}`, ...flags], { env, encoding: 'utf8' });
+    const runFirst = (...flags) => spawnSync(process.execPath, [DIFF_SCRIPT, ...flags, prev, next, `--report=${report}`], { env, encoding: 'utf8' });
+
+    const blocked = run();
+    assert.equal(blocked.status, 1);
+    assert.match(blocked.stdout, /BLOCKING OFFERS_REMOVED/);
+    assert.equal(JSON.parse(fs.readFileSync(report, 'utf8')).blocked, true);
+
+    const forced = run('--force');
+    assert.equal(forced.status, 0);
+    assert.match(forced.stdout, /OVERRIDDEN OFFERS_REMOVED/);
+    const written = JSON.parse(fs.readFileSync(report, 'utf8'));
+    assert.equal(written.override, true);
+    assert.equal(written.blocked, false);
+
+    // флаг перед путями не забирает себе путь к прошлому фиду
+    const forcedFirst = runFirst('--force');
+    assert.equal(forcedFirst.status, 0);
+    assert.match(forcedFirst.stdout, /OVERRIDDEN OFFERS_REMOVED/);
+
+    assert.equal(run('--max-removed=90').status, 0);
+    assert.equal(runFirst('--max-removed', '90').status, 0);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+const { loadSupplemental, loadLocalInventory, parseOutletIds, summarizeLocalInventory } = require('../scripts/lib/feed-merge');
+
+const source = text => Readable.from([Buffer.from(text, 'utf8')]);
+
+test('CSV supplemental keeps commas and quotes inside quoted fields', async () => {
+  const csv = [
+    'ID,Title,"g:Sale Price"',
+    'A1,"Boots, leather ""Classic""",100 RUB',
+    '',
+    'A2,"",90 RUB',
+  ].join('\r\n');
+  const map = await loadSupplemental(source(csv), 'supplemental.csv');
+  assert.deepEqual(map.get('A1'), { title: 'Boots, leather "Classic"', sale_price: '100 RUB' });
+  // пустая ячейка не затирает поле основного фида
+  assert.deepEqual(map.get('A2'), { sale_price: '90 RUB' });
+});
+
+test('later supplemental feeds override earlier ones, XML and TSV alike', async () => {
+  const xml = '<?xml version="1.0"?><rss xmlns:g="http://base.google.com/ns/1.0"><channel>' +
+    '<item><g:id>A1</g:id><title>From XML</title><g:brand>Acme</g:brand></item></channel></rss>';
+  const map = await loadSupplemental(source(xml), 'first.xml');
+  await loadSupplemental(source('id\ttitle\nA1\tFrom "TSV"\n'), 'second.tsv', map);
+  assert.deepEqual(map.get('A1'), { title: 'From "TSV"', brand: 'Acme' });
+});
+
+test('local inventory from a semicolon CSV, repeated store replaced', async () => {
+  const csv = [
+    'itemid;store code;quantity;availability;pickup method;pickup sla',
+    'A1;ALM1;3;in stock;buy;next day',
+    'A1;AST1;"2";in stock;not supported;',
+    'A1;ALM1;5;in stock;buy;same day',
+    'A2;ALM1;x;out of stock;;',
+    ';ALM1;1;in stock;;',
+  ].join('\n');
+  const inventory = await loadLocalInventory(source(csv), 'local.csv');
+  assert.deepEqual([...inventory.keys()], ['A1', 'A2']);
+  assert.deepEqual(inventory.get('A1').map(s => [s.storeCode, s.quantity]), [['ALM1', 5], ['AST1', 2]]);
+  assert.deepEqual(inventory.get('A2')[0], { storeCode: 'ALM1', quantity: null, availability: 'out_of_stock', pickupMethod: '', pickupSla: '' });
+
+  const summary = summarizeLocalInventory(inventory.get('A1'), parseOutletIds('ALM1=12345'));
+  assert.equal(summary.count, 7);
+  assert.deepEqual(summary.outlets, [{ id: '12345', instock: 5 }, { id: 'AST1', instock: 2 }]);
+  assert.deepEqual(summary.stock, { ALM1: 5, AST1: 2 });
+  assert.equal(summary.pickupSla, 'same day');
+  assert.throws(() => parseOutletIds('ALM1'), /expected store_code=outlet_id/);
+});
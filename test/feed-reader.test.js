@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const { readFeedEntries } = require('../scripts/lib/feed-reader');
+const { createSpool } = require('../scripts/lib/spool');
+
+async function collect(source){
+  const meta = {};
+  const entries = [];
+  for await (const entry of readFeedEntries(source, meta)) entries.push(entry);
+  return { entries, meta };
+}
+
+test('RSS items keep g:id apart from other ids and link as text', async () => {
+  const rss = '<rss xmlns:g="http://base.google.com/ns/1.0"><channel><title>Shop</title><link>https://shop.example</link>' +
+    '<item><g:id>A1</g:id><title>One</title><link>https://shop.example/a1</link><g:price>10 KZT</g:price></item>' +
+    '<item><id>B2</id><title>Two</title></item></channel></rss>';
+  const { entries, meta } = await collect([rss]);
+  assert.equal(meta.format, 'rss');
+  assert.deepEqual(entries, [
+    { gid: 'A1', title: 'One', link: 'https://shop.example/a1', price: '10 KZT' },
+    { id: 'B2', title: 'Two' },
+  ]);
+});
+
+test('Atom entries keep link attributes and both id flavours', async () => {
+  const atom = '<feed xmlns="http://www.w3.org/2005/Atom" xmlns:g="http://base.google.com/ns/1.0"><id>feed-1</id>' +
+    '<entry><id>tag:shop,1</id><g:id>A1</g:id><link rel="alternate" href="https://shop.example/a1"/></entry></feed>';
+  const { entries, meta } = await collect([atom]);
+  assert.equal(meta.format, 'atom');
+  assert.deepEqual(entries, [{ id: 'tag:shop,1', gid: 'A1', link: { rel: 'alternate', href: 'https://shop.example/a1' } }]);
+});
+
+test('an unrecognised or empty document fails loudly', async () => {
+  await assert.rejects(collect(['<catalog><item/></catalog>']), /Unrecognised feed root <catalog>: expected Atom <feed><entry> or RSS 2.0/);
+  await assert.rejects(collect(['  ']), /Unrecognised feed root \(empty document\)/);
+});
+
+test('entries are yielded while the source is still being read', async () => {
+  let chunksRead = 0;
+  async function* source(){
+    yield '<rss><channel>';
+    for (let i = 0; i < 1000; i++) { chunksRead += 1; yield `<item><id>${i}</id></item>`; }
+    yield '</channel></rss>';
+  }
+  const seenAt = [];
+  for await (const entry of readFeedEntries(source())) {
+    if (seenAt.length < 3) seenAt.push([entry.id, chunksRead]);
+  }
+  // первые записи приходят задолго до конца фида
+  assert.ok(seenAt[2][1] < 1000, JSON.stringify(seenAt));
+  assert.deepEqual(seenAt.map(([id]) => id), ['0', '1', '2']);
+});
+
+test('the spool keeps offers on disk until the second pass', async () => {
+  const spool = createSpool('spool-test');
+  await spool.push({ id: 'A1' });
+  await spool.push({ id: 'B2', name: 'Два' });
+  assert.equal(spool.size, 2);
+  const read = [];
+  for await (const offer of spool.read()) read.push(offer);
+  assert.deepEqual(read, [{ id: 'A1' }, { id: 'B2', name: 'Два' }]);
+  await spool.dispose();
+  assert.deepEqual(fs.readdirSync(os.tmpdir()).filter(f => f.startsWith(`spool-test-${process.pid}-`)), []);
+});
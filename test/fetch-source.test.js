@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { openSource } = require('../scripts/lib/fetch-source');
+
+// без адреса — на всех интерфейсах, чтобы localhost отвечал и по IPv4, и по IPv6
+const listen = (handler, host) => new Promise(resolve => {
+  const server = http.createServer(handler).listen(0, host, () => resolve(server));
+});
+const readAll = async stream => { const chunks = []; for await (const c of stream) chunks.push(c); return Buffer.concat(chunks).toString('utf8'); };
+
+test('credentials are not forwarded on a redirect to another host', async () => {
+  const seen = {};
+  const target = await listen((req, res) => { seen[req.url] = req.headers.authorization || ''; res.end('<rss/>'); });
+  // localhost и 127.0.0.1 — разные хосты для проверки, один и тот же сервер по сети
+  const origin = await listen((req, res) => {
+    seen[req.url] = req.headers.authorization || '';
+    const to = req.url === '/same' ? `http://127.0.0.1:${origin.address().port}/moved` : `http://localhost:${target.address().port}/cross`;
+    if (req.url === '/moved') { res.end('<rss/>'); return; }
+    res.writeHead(302, { Location: to }); res.end();
+  }, '127.0.0.1');
+  const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'feed-cache-'));
+  try {
+    const open = async p => {
+      const opened = await openSource(`http://127.0.0.1:${origin.address().port}${p}`, { cacheDir, attempts: 1, headers: { Authorization: 'Bearer secret' } });
+      assert.equal(await readAll(opened.stream), '<rss/>');
+      await opened.discard();
+    };
+    await open('/same');
+    await open('/away');
+    assert.deepEqual(seen, { '/same': 'Bearer secret', '/moved': 'Bearer secret', '/away': 'Bearer secret', '/cross': '' });
+  } finally {
+    origin.close();
+    target.close();
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  }
+});
+
+test('file sources do not create the feed cache', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'feed-file-'));
+  try {
+    const file = path.join(dir, 'feed.xml');
+    fs.writeFileSync(file, '<rss/>');
+    const cacheDir = path.join(dir, 'cache');
+    const opened = await openSource(file, { cacheDir });
+    assert.equal(await readAll(opened.stream), '<rss/>');
+    await opened.discard();
+    assert.equal(fs.existsSync(cacheDir), false);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createHostScheduler, parseRetryAfter } = require('../scripts/lib/host-scheduler');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('concurrency is limited globally and per host', async () => {
+  const scheduler = createHostScheduler({ concurrency: 3, perHost: 2 });
+  const active = { total: 0, a: 0, b: 0 };
+  const peak = { total: 0, a: 0, b: 0 };
+  const task = host => async () => {
+    active.total += 1; active[host] += 1;
+    peak.total = Math.max(peak.total, active.total); peak[host] = Math.max(peak[host], active[host]);
+    await sleep(5);
+    active.total -= 1; active[host] -= 1;
+    return host;
+  };
+  const results = await Promise.all([
+    ...Array.from({ length: 6 }, () => scheduler.run('a', task('a'))),
+    ...Array.from({ length: 3 }, () => scheduler.run('b', task('b'))),
+  ]);
+  assert.equal(results.filter(h => h === 'a').length, 6);
+  assert.deepEqual(peak, { total: 3, a: 2, b: 2 });
+  assert.equal(scheduler.stats('a').started, 6);
+  assert.deepEqual(scheduler.hosts(), ['a', 'b']);
+});
+
+test('a paused host waits while other hosts keep going', async () => {
+  const scheduler = createHostScheduler({ concurrency: 2 });
+  const order = [];
+  scheduler.pause('slow', 50);
+  await Promise.all([
+    scheduler.run('slow', async () => order.push('slow')),
+    scheduler.run('fast', async () => order.push('fast')),
+  ]);
+  assert.deepEqual(order, ['fast', 'slow']);
+  assert.equal(scheduler.stats('slow').pauses, 1);
+  assert.ok(scheduler.stats('slow').waitMs >= 40);
+  await assert.rejects(scheduler.run('fast', async () => { throw new Error('boom'); }), /boom/);
+});
+
+test('starts on one host are spaced by the rate limit', async () => {
+  const scheduler = createHostScheduler({ concurrency: 4, rate: 20 });
+  const started = [];
+  await Promise.all(Array.from({ length: 3 }, () => scheduler.run('a', async () => started.push(Date.now()))));
+  assert.ok(started[2] - started[0] >= 90, `started within ${started[2] - started[0]} ms`);
+});
+
+test('Retry-After accepts seconds and HTTP dates', () => {
+  const now = Date.UTC(2026, 0, 1);
+  assert.equal(parseRetryAfter('120', now), 120000);
+  assert.equal(parseRetryAfter('Thu, 01 Jan 2026 00:00:30 GMT', now), 30000);
+  assert.equal(parseRetryAfter('soon', now), null);
+  assert.equal(parseRetryAfter(null, now), null);
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sanitizeHtml, hasMarkup } = require('../scripts/lib/html');
+const { convert } = require('../scripts/lib');
+
+test('only whitelisted tags survive, without attributes', () => {
+  const { html } = sanitizeHtml(
+    '<div class="x"><h1 style="color:red">Характеристики</h1><script>alert(1)</script><style>p{}</style>' +
+    '<ul><li>Экран <b>6,2"</b><li>Память 128 ГБ</ul><img src="a.jpg"><p onclick="x()">Цена < 500 & выгодно</p></div><!-- note -->'
+  );
+  assert.equal(html, '<h3>Характеристики</h3><ul><li>Экран 6,2"</li><li>Память 128 ГБ</li></ul><p>Цена &lt; 500 &amp; выгодно</p>');
+  assert.equal(sanitizeHtml('Строка<br><br/>  <br />вторая').html, 'Строка<br/>вторая');
+  assert.ok(hasMarkup('<p>x</p>'));
+  assert.ok(!hasMarkup('x &lt;p&gt;'));
+});
+
+test('truncation cuts by word and never inside a tag', () => {
+  const words = Array.from({ length: 40 }, (_, i) => `слово${i}`).join(' ');
+  const { html, truncated, length } = sanitizeHtml(`<ul><li>${words}</li><li>ещё</li></ul>`, { maxLength: 100 });
+  assert.ok(truncated);
+  assert.ok(length <= 100, html);
+  assert.match(html, /^<ul><li>слово0 [^<]*слово\d+…<\/li><\/ul>$/);
+  assert.equal(sanitizeHtml('<p>short</p>', { maxLength: 100 }).truncated, false);
+});
+
+test('descriptions go out as CDATA in html mode and as plain text otherwise', async () => {
+  const entry = { id: ['A1'], title: ['Телефон'], price: ['100 KZT'], link: ['https://shop.example.kz/a1'], description: ['&lt;p&gt;Первый&lt;/p&gt;&lt;p&gt;Второй&lt;/p&gt;'] };
+  const shop = { name: 'Shop', company: 'Shop LLC', url: 'https://shop.example.kz' };
+  const html = await convert([entry], { shop, warn(){} });
+  assert.match(html.yml, /<description><!\[CDATA\[<p>Первый<\/p><p>Второй<\/p>\]\]><\/description>/);
+  const plain = await convert([entry], { shop, descriptionMode: 'text', warn(){} });
+  assert.match(plain.yml, /<description>Первый Второй<\/description>/);
+});
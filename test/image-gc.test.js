@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { historyKey, referencedKeys, findOrphans, formatBytes } = require('../scripts/lib/image-gc');
+
+const day = n => new Date(Date.UTC(2026, 0, n));
+
+test('main keys and variant keys of every manifest are referenced', () => {
+  const current = { 'https://a/1.jpg': { r2Key: 'img/1.jpg', variants: { webp: 'img/1.webp' } }, 'https://a/2.jpg': { rejected: ['BLANK'] } };
+  const previous = { 'https://a/0.jpg': { r2Key: 'img/0.jpg' } };
+  assert.deepEqual([...referencedKeys([current, null, previous])].sort(), ['img/0.jpg', 'img/1.jpg', 'img/1.webp']);
+  assert.ok(historyKey(day(2)) > historyKey(day(1)));
+  assert.equal(historyKey(day(1)), 'manifests/history/images-manifest-2026-01-01T00-00-00-000Z.json');
+});
+
+test('only orphans past the grace period are deletable', async () => {
+  const objects = [
+    { key: 'img/1.jpg', size: 100, lastModified: day(1) },
+    { key: 'img/old.jpg', size: 2048, lastModified: day(1) },
+    { key: 'img/new.jpg', size: 10, lastModified: day(9) },
+  ];
+  const { total, orphans, deletable } = await findOrphans(objects, new Set(['img/1.jpg']), { graceDays: 7, now: day(10) });
+  assert.equal(total, 3);
+  assert.deepEqual(orphans.map(o => o.key), ['img/old.jpg', 'img/new.jpg']);
+  assert.deepEqual(deletable.map(o => o.key), ['img/old.jpg']);
+  assert.equal(formatBytes(2048), '2.0 KB');
+  assert.equal(formatBytes(10), '10 B');
+});
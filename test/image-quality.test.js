@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { hammingDistance, parsePlaceholderHashes, inspectImage, checkImage, createVisualIndex } = require('../scripts/lib/image-quality');
+
+// узор с перепадами яркости: у гладкого градиента dHash вырождается в нули
+async function texturedJpeg(width, height, quality){
+  const pixels = Buffer.alloc(width * height * 3);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 3;
+      pixels[i] = 128 + 100 * Math.sin(x / 37 + y / 53);
+      pixels[i + 1] = 128 + 100 * Math.cos(x / 61 - y / 29);
+      pixels[i + 2] = ((x >> 6) ^ (y >> 6)) & 1 ? 200 : 40;
+    }
+  }
+  return sharp(pixels, { raw: { width, height, channels: 3 } }).jpeg({ quality }).toBuffer();
+}
+
+test('placeholder hashes come from a list and are validated', () => {
+  assert.deepEqual([...parsePlaceholderHashes('2816B27171B21628, 0000000000000000')], ['2816b27171b21628', '0000000000000000']);
+  assert.equal(parsePlaceholderHashes('').size, 0);
+  assert.throws(() => parsePlaceholderHashes('2816b27171b21628 xyz'), /Invalid placeholder hash "xyz"/);
+  assert.equal(hammingDistance('ff00', '0f01'), 5);
+});
+
+test('small, blank and placeholder images fail the check', async () => {
+  const good = await inspectImage(await texturedJpeg(400, 300, 90));
+  assert.deepEqual(checkImage(good), []);
+  assert.deepEqual(checkImage(good, { placeholders: new Set([good.hash]) }), ['PLACEHOLDER']);
+  const blank = await inspectImage(await sharp({ create: { width: 1, height: 1, channels: 3, background: '#ffffff' } }).png().toBuffer());
+  assert.deepEqual(checkImage(blank), ['TOO_SMALL', 'BLANK']);
+});
+
+test('re-encoded copies share a visual index entry', async () => {
+  const original = await inspectImage(await texturedJpeg(400, 300, 90));
+  const copy = await inspectImage(await texturedJpeg(400, 300, 40));
+  const other = await inspectImage(await sharp(await texturedJpeg(400, 300, 90)).flop().toBuffer());
+  const index = createVisualIndex();
+  index.set(original.fingerprint, 'original');
+  assert.equal(index.get(copy.fingerprint), 'original');
+  assert.equal(index.get(other.fingerprint), undefined);
+});
+
+test('images that differ only in colour are not visual twins', async () => {
+  // одинаковый рисунок — цветные клетки на белом; у красного и синего dHash совпадает
+  const checker = async colour => {
+    const tiles = [0, 1, 2, 3].map(i => ({
+      input: { create: { width: 100, height: 100, channels: 3, background: colour } }, left: (i % 2) * 200 + 50, top: Math.floor(i / 2) * 150 + 25,
+    }));
+    return inspectImage(await sharp({ create: { width: 400, height: 300, channels: 3, background: '#ffffff' } }).composite(tiles).jpeg().toBuffer());
+  };
+  const red = await checker('#d01010');
+  const blue = await checker('#1010d0');
+  assert.ok(hammingDistance(red.fingerprint.split(':')[0], blue.fingerprint.split(':')[0]) <= 4);
+  const index = createVisualIndex();
+  index.set(blue.fingerprint, 'img/blue.jpg');
+  assert.equal(index.get(red.fingerprint), undefined);
+  assert.equal(index.get(blue.fingerprint), 'img/blue.jpg');
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { storageFromEnv } = require('../scripts/lib/image-storage');
+
+test('local storage writes objects under the directory', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'image-storage-'));
+  try {
+    const storage = storageFromEnv({ IMAGE_STORAGE: 'local', IMAGE_STORAGE_DIR: dir, IMAGE_PUBLIC_BASE: 'https://example.github.io/feed/' });
+    assert.equal(storage.publicBase, 'https://example.github.io/feed');
+    assert.equal(await storage.head('img/a.jpg'), false);
+    await storage.put('img/a.jpg', Buffer.from('jpeg'), { contentType: 'image/jpeg' });
+    assert.equal(await storage.head('img/a.jpg'), true);
+    assert.equal(fs.readFileSync(path.join(dir, 'img/a.jpg'), 'utf8'), 'jpeg');
+    await assert.rejects(storage.put('../escape.jpg', Buffer.from('x')), /escapes/);
+    assert.equal((await storage.get('img/a.jpg')).toString('utf8'), 'jpeg');
+    assert.equal(await storage.get('img/b.jpg'), null);
+    await storage.put('manifests/m.json', Buffer.from('{}'));
+    const listed = [];
+    for await (const object of storage.list('img/')) listed.push([object.key, object.size]);
+    assert.deepEqual(listed, [['img/a.jpg', 4]]);
+    await storage.delete(['img/a.jpg', 'img/missing.jpg']);
+    assert.equal(await storage.head('img/a.jpg'), false);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('storage config is validated per backend', () => {
+  assert.throws(() => storageFromEnv({ IMAGE_STORAGE: 'gcs' }), /Invalid IMAGE_STORAGE/);
+  assert.throws(() => storageFromEnv({}), /CF_ACCOUNT_ID/);
+  assert.throws(() => storageFromEnv({ IMAGE_STORAGE: 's3', IMAGE_PUBLIC_BASE: 'https://cdn' }), /S3_BUCKET/);
+  assert.throws(() => storageFromEnv({ IMAGE_STORAGE: 'local' }), /IMAGE_PUBLIC_BASE/);
+  const r2 = storageFromEnv({
+    CF_ACCOUNT_ID: 'acc', CF_R2_ACCESS_KEY_ID: 'k', CF_R2_SECRET_ACCESS_KEY: 's', R2_BUCKET: 'b', R2_PUBLIC_BASE: 'https://img.example.kz/',
+  });
+  assert.equal(r2.name, 'R2');
+  assert.equal(r2.publicBase, 'https://img.example.kz');
+  const minio = storageFromEnv({ IMAGE_STORAGE: 's3', S3_BUCKET: 'images', S3_ENDPOINT: 'http://127.0.0.1:9000', S3_FORCE_PATH_STYLE: '1', IMAGE_PUBLIC_BASE: 'http://127.0.0.1:9000/images' });
+  assert.equal(minio.name, 'S3 bucket images');
+});
@@ -0,0 +1,175 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parsePriceToken, deriveModel, mapCondition, mapAvailability, cleanText, plainDescription, normalizeDescription,
+  decodeBrokenUtf8, fullImageUrl, normalizePictureUrl, pickLink, deriveTypePrefix, resolveParams, readWeight, readDimensions,
+  readSalesTerms, parseFlag, repairMojibake,
+} = require('../scripts/lib/mapping');
+const { createTaxonomy } = require('../scripts/lib/taxonomy');
+
+// журнал записи, как у build-report, но копит коды в массивы
+function recorder(){
+  const log = { ref: {}, dropped: [], modified: [] };
+  log.drop = code => log.dropped.push(code);
+  log.modify = code => log.modified.push(code);
+  return log;
+}
+
+test('parsePriceToken splits amount and currency', () => {
+  assert.deepEqual(parsePriceToken('499 990.00 KZT'), { amount: '499990.00', currency: 'KZT' });
+  assert.deepEqual(parsePriceToken('12,5 usd'), { amount: '12.5', currency: 'USD' });
+  assert.deepEqual(parsePriceToken('100 RUB'), { amount: '100', currency: 'RUR' });
+  assert.deepEqual(parsePriceToken('100', 'RUR'), { amount: '100', currency: 'RUR' });
+  // код, которого нет у Маркета, не подменяется базовой валютой — оффер отбросит mapEntry
+  assert.deepEqual(parsePriceToken('100 gbp'), { amount: '100', currency: 'GBP' });
+  assert.deepEqual(parsePriceToken('по запросу'), { amount: '', currency: 'KZT' });
+});
+
+test('deriveModel strips the leading brand', () => {
+  assert.equal(deriveModel('Samsung Galaxy S24', 'Samsung'), 'Galaxy S24');
+  assert.equal(deriveModel('SAMSUNG — Galaxy S24', 'Samsung'), 'Galaxy S24');
+  assert.equal(deriveModel('Пылесос Samsung VS20', 'Samsung'), 'Пылесос Samsung VS20');
+  assert.equal(deriveModel('Samsung', 'Samsung'), 'Samsung');
+  assert.equal(deriveModel('Galaxy S24', ''), 'Galaxy S24');
+  assert.equal(deriveModel('', 'Samsung'), '');
+});
+
+test('mapCondition maps Google conditions to Yandex ones', () => {
+  assert.equal(mapCondition('new'), null);
+  assert.equal(mapCondition(''), null);
+  assert.deepEqual(mapCondition('Refurbished'), { type: 'preowned', quality: 'refurbished' });
+  assert.deepEqual(mapCondition('used'), { type: 'used', quality: 'good' });
+  assert.deepEqual(mapCondition('open box'), { type: 'likenew', quality: 'excellent' });
+  assert.deepEqual(mapCondition('demo'), { type: 'showcasesample', quality: 'good' });
+  assert.equal(mapCondition('something else'), null);
+});
+
+test('mapAvailability treats unknown values as available', () => {
+  assert.equal(mapAvailability('in_stock'), 'true');
+  assert.equal(mapAvailability('preorder'), 'true');
+  assert.equal(mapAvailability('out_of_stock'), 'false');
+  assert.equal(mapAvailability(' SOLD_OUT '), 'false');
+  assert.equal(mapAvailability(''), 'true');
+});
+
+test('cleanText decodes entities and collapses whitespace', () => {
+  assert.equal(cleanText('  Hello&nbsp;&amp;\n &#1052;&#x438;р  '), 'Hello & Мир');
+  assert.equal(cleanText('&unknown;'), '&unknown;');
+});
+
+test('plainDescription strips tags and truncates by word', () => {
+  assert.equal(plainDescription('<p>Hello</p><p>world</p>'), 'Hello world');
+  const log = recorder();
+  const text = plainDescription('слово '.repeat(1000), log);
+  assert.ok(text.length <= 3000);
+  assert.ok(text.endsWith('слово…'));
+  assert.deepEqual(log.modified, ['DESCRIPTION_TRUNCATED']);
+});
+
+test('normalizeDescription keeps whitelisted markup only in html mode', () => {
+  const raw = '&lt;p&gt;Hello &amp; &lt;b&gt;world&lt;/b&gt;&lt;/p&gt;';
+  assert.deepEqual(normalizeDescription(raw), { text: '<p>Hello &amp; world</p>', html: true });
+  assert.deepEqual(normalizeDescription(raw, null, 'text'), { text: 'Hello & world', html: false });
+  assert.deepEqual(normalizeDescription('plain text'), { text: 'plain text', html: false });
+});
+
+test('decodeBrokenUtf8 repairs UTF-8 read as cp1252 and leaves the rest alone', () => {
+  const broken = Buffer.from('Смартфон', 'utf8').toString('latin1');
+  assert.equal(decodeBrokenUtf8(broken), 'Смартфон');
+  assert.equal(decodeBrokenUtf8('Смартфон'), 'Смартфон');
+  assert.equal(decodeBrokenUtf8('Ðåäêèé'), 'Ðåäêèé');
+});
+
+test('repairMojibake re-decodes text fields only', () => {
+  const broken = text => Buffer.from(text, 'utf8').toString('latin1');
+  const entry = {
+    id: [broken('ТВ-1')], link: [`https://shop.example.kz/${broken('тв')}`], title: [broken('Телевизор')],
+    param: [{ name: broken('Цвет'), value: broken('Чёрный') }],
+  };
+  const { entry: fixed, fields } = repairMojibake(entry);
+  assert.deepEqual(fields, ['title', 'param']);
+  assert.equal(fixed.title[0], 'Телевизор');
+  assert.deepEqual(fixed.param[0], { name: 'Цвет', value: 'Чёрный' });
+  assert.equal(fixed.id, entry.id);
+  assert.equal(fixed.link, entry.link);
+});
+
+test('fullImageUrl resolves relative links against the configured bases', () => {
+  assert.equal(fullImageUrl('//cdn.example.kz/a.jpg'), 'https://cdn.example.kz/a.jpg');
+  assert.equal(fullImageUrl('/img/a.jpg', ['', 'https://shop.example.kz/kz_ru']), 'https://shop.example.kz/img/a.jpg');
+  assert.equal(fullImageUrl('/img/a.jpg'), '');
+  assert.equal(fullImageUrl('javascript:alert(1)', ['https://shop.example.kz']), '');
+  assert.equal(fullImageUrl('data:image/png;base64,AAA', ['https://shop.example.kz']), '');
+  assert.equal(normalizePictureUrl('https://images.samsung.com/is/image/samsung/p6pim/kz/sm-s921'),
+    'https://images.samsung.com/is/image/samsung/p6pim/kz/sm-s921?$ORIGIN_PNG$');
+});
+
+test('pickLink prefers the alternate Atom link', () => {
+  assert.equal(pickLink({ link: [{ href: 'https://a/feed', rel: 'self' }, { href: 'https://a/item', rel: 'alternate' }] }), 'https://a/item');
+  assert.equal(pickLink({ link: [{ href: 'https://a/feed', rel: 'self' }] }), 'https://a/feed');
+  assert.equal(pickLink({ link: ' https://a/rss ' }), 'https://a/rss');
+});
+
+test('deriveTypePrefix takes the narrowest non-generic segment', () => {
+  assert.equal(deriveTypePrefix({ product_type: 'Каталог > Смартфоны' }, ''), 'Смартфоны');
+  assert.equal(deriveTypePrefix({ product_type: 'Products' }, 'Default', 'Электроника > Телевизоры'), 'Телевизоры');
+});
+
+test('resolveParams translates enums and splits units', () => {
+  const params = resolveParams({
+    gender: 'female', size: '42', size_system: 'EU', power: '2200W', voltage: '220',
+    param: [{ name: 'Объем', value: '500', unit: 'мл' }],
+  }, new Map([['напряжение', 'В']]));
+  assert.deepEqual(params, [
+    { name: 'Размер', value: '42', unit: 'EU' },
+    { name: 'Размерная сетка', value: 'EU' },
+    { name: 'Пол', value: 'Женский' },
+    { name: 'Мощность', value: '2200', unit: 'Вт' },
+    { name: 'Напряжение', value: '220', unit: 'В' },
+    { name: 'Объем', value: '500', unit: 'мл' },
+  ]);
+});
+
+test('a comma is a decimal point only when it cannot be a thousands separator', () => {
+  const value = v => resolveParams({ param: [{ name: 'Мощность', value: v }] }, new Map())[0];
+  assert.deepEqual(value('1,000 W'), { name: 'Мощность', value: '1000', unit: 'Вт' });
+  assert.deepEqual(value('1,000.5 W'), { name: 'Мощность', value: '1000.5', unit: 'Вт' });
+  assert.deepEqual(value('2,5 kW'), { name: 'Мощность', value: '2.5', unit: 'кВт' });
+  assert.deepEqual(value('0,125 W'), { name: 'Мощность', value: '0.125', unit: 'Вт' });
+  assert.equal(readWeight({ shipping_weight: '1,500 g' }, recorder()), '1.5');
+});
+
+test('readWeight and readDimensions convert units and reject out-of-range values', () => {
+  const log = recorder();
+  assert.equal(readWeight({ shipping_weight: '18500 g' }, log), '18.5');
+  assert.equal(readWeight({ product_weight: '2 lb' }, log), '0.907');
+  assert.equal(readWeight({ shipping_weight: '5000 kg' }, log), '');
+  assert.equal(readDimensions({ shipping_length: '10 in', shipping_width: '20 cm', shipping_height: '300 mm' }, log), '25.4/20/30');
+  assert.equal(readDimensions({ product_length: '10 cm', product_width: '20 cm' }, log), '');
+  assert.deepEqual(log.modified, ['WEIGHT_OUT_OF_RANGE', 'DIMENSIONS_INCOMPLETE']);
+});
+
+test('readSalesTerms applies shop defaults and limits', () => {
+  const log = recorder();
+  const terms = readSalesTerms({ sales_notes: 'x'.repeat(60), min_quantity: '1' }, log, { manufacturerWarranty: 'yes' });
+  assert.equal(terms.salesNotes.length, 50);
+  assert.equal(terms.minQuantity, '');
+  assert.equal(terms.warranty, 'true');
+  assert.equal(terms.adult, false);
+  assert.deepEqual(log.modified, ['SALES_NOTES_TRUNCATED']);
+  assert.equal(parseFlag('нет'), 'false');
+  assert.equal(parseFlag('1 год'), 'true');
+  assert.equal(parseFlag(''), '');
+});
+
+test('a category id is unresolved only when neither the taxonomy nor the category map knows it', () => {
+  const taxonomy = createTaxonomy({
+    names: new Map([['505', 'Электроника > Телевизоры']]),
+    categoryMap: new Map([['267', { category: 'Телефоны > Смартфоны', typePrefix: 'Смартфон' }]]),
+  });
+  assert.equal(taxonomy.resolve('505').unresolved, false);
+  assert.equal(taxonomy.resolve('267').unresolved, false);
+  assert.equal(taxonomy.resolve('267').mapped.typePrefix, 'Смартфон');
+  assert.equal(taxonomy.resolve('999').unresolved, true);
+  assert.equal(taxonomy.resolve('Электроника > Телевизоры').unresolved, false);
+});
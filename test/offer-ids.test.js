@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseIdSources, synthesizeOfferId, createIdRegistry } = require('../scripts/lib/offer-ids');
+const { convert } = require('../scripts/lib');
+
+test('synthesized ids depend only on the configured fields', () => {
+  const fields = { link: 'https://shop.example/a', gtin: '4006381333931', mpn: 'X1', title: 'Чайник' };
+  const id = synthesizeOfferId(fields);
+  assert.match(id, /^[0-9a-f]{16}$/);
+  assert.equal(synthesizeOfferId({ ...fields }), id);
+  assert.notEqual(synthesizeOfferId({ ...fields, title: 'Чайник 2' }), id);
+  assert.equal(synthesizeOfferId({ ...fields, title: 'Чайник 2' }, ['link', 'gtin']), synthesizeOfferId(fields, ['link', 'gtin']));
+  assert.equal(synthesizeOfferId({}), '');
+});
+
+test('id sources are validated', () => {
+  assert.deepEqual(parseIdSources(' GTIN, link '), ['gtin', 'link']);
+  assert.deepEqual(parseIdSources(''), ['link', 'gtin', 'mpn', 'title']);
+  assert.throws(() => parseIdSources('link,sku'), /Unknown offer id source\(s\): sku/);
+  assert.throws(() => parseIdSources(' , '), /list is empty/);
+});
+
+test('the registry lists synthesized ids and duplicates', () => {
+  const registry = createIdRegistry();
+  registry.register({ id: 'A1', name: 'One' });
+  registry.register({ id: 'A1', name: 'Other' });
+  registry.register({ id: 'ab12', name: 'Three', url: 'https://shop.example/3', idSynthesized: true });
+  assert.deepEqual(registry.duplicates, [{ id: 'A1', first: 'One', name: 'Other' }]);
+  const lines = [];
+  registry.report(line => lines.push(line));
+  assert.deepEqual(lines, [
+    'Synthesized ids for 1 entries without g:id:',
+    '  ab12  Three  https://shop.example/3',
+    'Duplicate offer ids: 1',
+    '  A1  "Other" collides with "One"',
+  ]);
+});
+
+test('an entry without an id keeps the same offer id across builds', async () => {
+  const entry = { title: ['Чайник'], link: ['https://shop.example.kz/kettle'], price: ['100 KZT'] };
+  const options = { shop: { name: 'Shop', company: 'Shop LLC', url: 'https://shop.example.kz' }, warn(){} };
+  const first = await convert([entry], options);
+  const second = await convert([{ ...entry }], options);
+  assert.equal(first.offers[0].id, second.offers[0].id);
+  assert.equal(first.report.toJSON().modifiedByReason.ID_SYNTHESIZED, 1);
+  const nothing = await convert([{ price: ['100 KZT'] }, entry], options);
+  assert.equal(nothing.report.toJSON().droppedByReason.NO_ID, 1);
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { assertTimeZone, parseEffectiveDate, saleState, formatLocal, createPromoCollector } = require('../scripts/lib/sales');
+
+const iso = window => [window.start && window.start.toISOString(), window.end && window.end.toISOString()];
+
+test('effective dates honour offsets and the shop time zone', () => {
+  assert.deepEqual(iso(parseEffectiveDate('2024-02-24T11:07+0100/2024-02-29T23:07+01:00')), ['2024-02-24T10:07:00.000Z', '2024-02-29T22:07:00.000Z']);
+  // без смещения — время зоны магазина, у конца без времени — конец дня
+  assert.deepEqual(iso(parseEffectiveDate('2023-02-24/2023-02-28', 'Asia/Almaty')), ['2023-02-23T18:00:00.000Z', '2023-02-28T17:59:59.000Z']);
+  // переход на летнее время внутри интервала
+  assert.deepEqual(iso(parseEffectiveDate('2024-03-30T12:00/2024-04-01T12:00', 'Europe/Berlin')), ['2024-03-30T11:00:00.000Z', '2024-04-01T10:00:00.000Z']);
+  assert.deepEqual(iso(parseEffectiveDate('/2024-02-29T00:00Z')), [null, '2024-02-29T00:00:00.000Z']);
+  assert.equal(parseEffectiveDate(''), null);
+});
+
+test('malformed or reversed windows are errors', () => {
+  assert.throws(() => parseEffectiveDate('since monday'), /Unrecognised sale_price_effective_date "since monday"/);
+  assert.throws(() => parseEffectiveDate('/'), /Unrecognised/);
+  assert.throws(() => parseEffectiveDate('2024-03-01/2024-02-01'), /ends before it starts/);
+  assert.throws(() => assertTimeZone('Mars/Olympus'), /Unknown time zone "Mars\/Olympus"/);
+});
+
+test('sale state against the build time', () => {
+  const window = parseEffectiveDate('2024-02-24T00:00Z/2024-02-29T00:00Z');
+  assert.equal(saleState(window, new Date('2024-02-23T23:59Z')), 'upcoming');
+  assert.equal(saleState(window, new Date('2024-02-24T00:00Z')), 'active');
+  assert.equal(saleState(window, new Date('2024-02-29T00:01Z')), 'expired');
+  assert.equal(saleState(null, new Date()), 'active');
+  assert.equal(formatLocal(window.start, 'Asia/Almaty'), '2024-02-24 06:00:00');
+});
+
+test('offers with the same window share one promo', () => {
+  const promos = createPromoCollector();
+  const a = parseEffectiveDate('2024-02-24T00:00Z/2024-02-29T00:00Z');
+  const b = parseEffectiveDate('2024-03-01T00:00Z/2024-03-08T00:00Z');
+  promos.add({ id: 'A1' }, a, '90', 'KZT');
+  promos.add({ id: 'B1' }, b, '50', 'KZT');
+  promos.add({ id: 'A2' }, parseEffectiveDate('2024-02-24T00:00Z/2024-02-29T00:00Z'), '80', 'KZT');
+  assert.equal(promos.size, 2);
+  const list = promos.promos(id => id !== 'B1');
+  assert.equal(list.length, 1);
+  assert.match(list[0].id, /^sale-[0-9a-f]{10}$/);
+  assert.deepEqual(list[0].products.map(p => p.offerId), ['A1', 'A2']);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createVariantGroups } = require('../scripts/lib/variants');
+
+const phone = (id, color, memory, extra = {}) => ({
+  id, name: 'Galaxy S24', model: 'Galaxy S24', brand: 'Samsung', categoryId: '1', itemGroupId: 'S24',
+  availability: 'true', price: '500000',
+  variant: [{ name: 'Цвет', value: color }, { name: 'Объем', value: memory, unit: 'ГБ' }],
+  params: [{ name: 'Цвет', value: color }], ...extra,
+});
+
+function run(offers, mode){
+  const groups = createVariantGroups({ mode });
+  for (const o of offers) groups.add(o);
+  return { groups, results: offers.map(o => groups.apply(o)) };
+}
+
+test('identical names get the differing attributes, missing params are restored', () => {
+  const offers = [phone('A', 'Чёрный', '128'), phone('B', 'Чёрный', '256'), phone('C', 'Белый', '256', { name: 'Galaxy S24 Белый' })];
+  const { groups, results } = run(offers);
+  assert.deepEqual(offers.map(o => o.name), ['Galaxy S24, Чёрный, 128 ГБ', 'Galaxy S24, Чёрный, 256 ГБ', 'Galaxy S24 Белый']);
+  assert.equal(offers[0].model, 'Galaxy S24, Чёрный, 128 ГБ');
+  assert.deepEqual(offers[1].params, [{ name: 'Цвет', value: 'Чёрный' }, { name: 'Объем', value: '256', unit: 'ГБ' }]);
+  assert.deepEqual(results[0].changes.map(c => c.code), ['VARIANT_PARAM_ADDED', 'VARIANT_NAME_EXTENDED']);
+  assert.equal(offers[0].itemGroupId, 'S24');
+  assert.deepEqual(groups.warnings(), []);
+});
+
+test('mixed groups lose group_id and are reported', () => {
+  const offers = [phone('A', 'Чёрный', '128'), phone('B', 'Чёрный', '128', { brand: 'Apple' })];
+  const { groups, results } = run(offers);
+  assert.deepEqual(groups.warnings().map(w => w.code), ['VARIANT_GROUP_MIXED', 'VARIANT_NOT_DISTINGUISHABLE']);
+  assert.match(groups.warnings()[0].message, /mixes brands Samsung, Apple/);
+  assert.deepEqual(results.map(r => r.changes[0].code), ['VARIANT_GROUP_SPLIT', 'VARIANT_GROUP_SPLIT']);
+  assert.equal(offers[0].itemGroupId, undefined);
+
+  const partial = run([phone('A', 'Чёрный', '128'), phone('B', 'Белый', '128'), { ...phone('C', 'Синий', '128'), variant: [{ name: 'Объем', value: '128', unit: 'ГБ' }] }]);
+  assert.deepEqual(partial.groups.warnings().map(w => w.message), ['group S24: 1 of 3 variants have no "Цвет"']);
+});
+
+test('collapse keeps the cheapest available variant without group_id', () => {
+  const offers = [
+    phone('A', 'Чёрный', '128', { price: '400000', availability: 'false' }),
+    phone('B', 'Чёрный', '256', { price: '550000' }),
+    phone('C', 'Белый', '256', { price: '520000' }),
+    phone('D', 'Белый', '512', { itemGroupId: 'SOLO' }),
+  ];
+  const { groups, results } = run(offers, 'collapse');
+  assert.deepEqual([...groups.collapsedIds()].sort(), ['A', 'B']);
+  assert.deepEqual(results.map(r => Boolean(r.skip)), [true, true, false, false]);
+  assert.match(results[0].skip, /collapsed into offer C/);
+  assert.equal(offers[2].itemGroupId, undefined);
+  assert.equal(offers[3].itemGroupId, undefined);
+  assert.throws(() => createVariantGroups({ mode: 'merge' }), /Invalid variant mode "merge"/);
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createWriter } = require('../scripts/lib/writers');
+const { convert } = require('../scripts/lib');
+
+const catalog = { date: new Date('2026-01-15T09:00:00Z'), shop: { name: 'Shop', company: 'Shop LLC', url: 'https://shop.example.kz' } };
+
+test('writers are chosen by format name and check their settings', () => {
+  assert.throws(() => createWriter('csv', {}), /Unknown output format "csv" \(available: yml, kaspi\)/);
+  assert.throws(() => createWriter('kaspi', { stores: ['PP1'] }), /requires KASPI_MERCHANT_ID/);
+  assert.throws(() => createWriter('kaspi', { merchantId: 'M1' }), /at least one store id/);
+});
+
+test('kaspi writer renders availability per store and city prices', () => {
+  const writer = createWriter('kaspi', { merchantId: 'M1', stores: ['PP1', 'PP2'], cities: ['750000000', '710000000'] });
+  const xml = writer.header(catalog) + writer.offer({
+    id: 'A1', shopSku: 'SKU-1', name: 'Чайник <1.7 л>', brand: 'Acme', price: '9990.50', currencyId: 'KZT', availability: 'true', storeStock: { PP1: 3 },
+  }) + writer.footer(catalog);
+  assert.match(xml, /<kaspi_catalog date="2026-01-15 09:00:00" xmlns="kaspiShopping"/);
+  assert.match(xml, /<company>Shop LLC<\/company>\s*<merchantid>M1<\/merchantid>/);
+  assert.match(xml, /<offer sku="SKU-1">\s*<model>Чайник &lt;1\.7 л&gt;<\/model>\s*<brand>Acme<\/brand>/);
+  assert.match(xml, /<availability available="yes" storeId="PP1" stockCount="3"\/>\s*<availability available="yes" storeId="PP2"\/>/);
+  assert.match(xml, /<cityprice cityId="750000000">9991<\/cityprice>\s*<cityprice cityId="710000000">9991<\/cityprice>/);
+  assert.doesNotMatch(xml, /<price>/);
+  assert.ok(xml.endsWith('  </offers>\n</kaspi_catalog>\n'));
+});
+
+test('kaspi output rejects offers not priced in tenge', async () => {
+  const entry = (id, price) => ({ id: [id], title: ['Товар'], price: [price], link: [`https://shop.example.kz/${id}`] });
+  const { yml, report } = await convert([entry('KZ', '100 KZT'), entry('US', '2 USD')], {
+    shop: catalog.shop, format: 'kaspi', kaspi: { merchantId: 'M1', stores: ['PP1'] }, warn(){},
+  });
+  assert.match(yml, /<offer sku="KZ">[\s\S]*?<price>100<\/price>/);
+  assert.doesNotMatch(yml, /sku="US"/);
+  assert.equal(report.toJSON().droppedByReason.FORMAT_REJECTED, 1);
+});
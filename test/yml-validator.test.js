@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { spawnSync } = require('child_process');
+const { createYmlValidator, isValidGtin } = require('../scripts/lib/yml-validator');
+
+const VALIDATE_SCRIPT = path.join(__dirname, '..', 'scripts', 'validate-yml.js');
+
+const offer = (id, extra = {}) => ({
+  id, available: 'true', url: `https://shop.example/${id}`, price: '100', currencyId: 'RUB', categoryId: '1',
+  name: `Item ${id}`, vendor: 'Acme', picture: `https://shop.example/${id}.jpg`, ...extra,
+});
+
+function validate(offers, { shop = true } = {}){
+  const v = createYmlValidator();
+  if (shop) {
+    v.record({ tag: 'name', value: 'Shop' });
+    v.record({ tag: 'company', value: 'Shop LLC' });
+    v.record({ tag: 'url', value: 'https://shop.example' });
+  }
+  v.record({ tag: 'currency', value: { id: 'RUB' } });
+  v.record({ tag: 'category', value: { id: '1', _: 'Shoes' } });
+  for (const o of offers) v.record({ tag: 'offer', value: o });
+  return v.finish();
+}
+
+test('offer errors and warnings are counted per issue, offers with issues once', () => {
+  const result = validate([
+    offer('a'),
+    offer('b', { price: '0', barcode: '4006381333931', vendor: '' }),
+    offer('c', { currencyId: 'USD', categoryId: '7', barcode: '4006381333932' }),
+  ]);
+  assert.equal(result.offers, 3);
+  assert.equal(result.offersWithIssues, 2);
+  assert.deepEqual(result.issues.filter(i => i.level === 'error').map(i => `${i.offerId} ${i.code}`),
+    ['b PRICE_INVALID', 'c CURRENCY_UNKNOWN', 'c CATEGORY_UNKNOWN', 'c BARCODE_INVALID']);
+  assert.equal(result.errors, 4);
+  assert.equal(result.feedErrors, 0);
+  assert.equal(result.warnings, 1);
+});
+
+test('feed-level errors are counted separately from offer errors', () => {
+  const result = validate([offer('a', { price: '' }), offer('a')], { shop: false });
+  assert.deepEqual(result.issues.filter(i => i.offerId === undefined).map(i => i.code),
+    ['SHOP_FIELD_MISSING', 'SHOP_FIELD_MISSING', 'SHOP_FIELD_MISSING']);
+  assert.equal(result.feedErrors, 3);
+  assert.equal(result.errors, 5);
+  assert.equal(validate([]).feedErrors, 1);
+});
+
+test('GTIN check digit', () => {
+  assert.ok(isValidGtin('4006381333931'));
+  assert.ok(isValidGtin('96385074'));
+  assert.ok(!isValidGtin('4006381333932'));
+  assert.ok(!isValidGtin('12345'));
+});
+
+test('validate-yml passes offer errors up to --max-errors but never feed errors', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'yml-validate-'));
+  const offers = '<offer id="a"><url>https://shop.example/a</url><price>0</price><currencyId>RUB</currencyId><categoryId>1</categoryId><name>A</name><vendor>Acme</vendor><picture>https://shop.example/a.jpg</picture></offer>';
+  const yml = shopName => `<?xml version="1.0" encoding="UTF-8"?><yml_catalog><shop>${shopName}<company>Shop LLC</company><url>https://shop.example</url>` +
+    `<currencies><currency id="RUB"/></currencies><categories><category id="1">Shoes</category></categories><offers>${offers}</offers></shop></yml_catalog>`;
+  const run = (input, ...flags) => spawnSync(process.execPath, [VALIDATE_SCRIPT, '-', `--report=${path.join(dir, 'report.json')}`, ...flags], { input, encoding: 'utf8' });
+  try {
+    assert.equal(run(yml('<name>Shop</name>'), '--max-errors=0').status, 1);
+    assert.equal(run(yml('<name>Shop</name>'), '--max-errors=1').status, 0);
+    const failed = run(yml(''), '--max-errors=10');
+    assert.equal(failed.status, 1);
+    assert.match(failed.stderr, /1 feed-level errors/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('the converted sample feed passes validate-yml with the default threshold', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'yml-validate-'));
+  const env = { ...process.env };
+  delete env.VALIDATE_MAX_ERRORS;
+  try {
+    const fixture = path.join(__dirname, 'fixtures', 'google-rss.yml');
+    const result = spawnSync(process.execPath, [VALIDATE_SCRIPT, fixture, `--report=${path.join(dir, 'report.json')}`], { env, encoding: 'utf8' });
+    assert.equal(result.status, 0, result.stdout + result.stderr);
+    const report = JSON.parse(fs.readFileSync(path.join(dir, 'report.json'), 'utf8'));
+    assert.deepEqual([report.passed, report.maxErrors, report.errors, report.offers], [true, 0, 0, 5]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});